@@ -0,0 +1,150 @@
+const mongoose = require('mongoose');
+const { normalizePhone } = require('./public/phone-utils');
+require('dotenv').config();
+
+// Configuration
+const config = {
+    mongoUri: process.env.MONGO_URI,
+    mongoOptions: {
+        serverSelectionTimeoutMS: 5000,
+        socketTimeoutMS: 45000,
+    },
+    defaultPhoneCountry: process.env.DEFAULT_PHONE_COUNTRY || 'IN',
+    dryRun: process.argv.includes('--dry-run')
+};
+
+// Connect to MongoDB
+async function connectToDatabase() {
+    try {
+        console.log('Connecting to MongoDB...');
+        await mongoose.connect(config.mongoUri, config.mongoOptions);
+        console.log('Successfully connected to MongoDB');
+        return true;
+    } catch (error) {
+        console.error('Error connecting to MongoDB:', error.message);
+        return false;
+    }
+}
+
+function askToContinue(question) {
+    const readline = require('readline').createInterface({
+        input: process.stdin,
+        output: process.stdout
+    });
+    return new Promise((resolve) => {
+        readline.question(question, (answer) => {
+            readline.close();
+            resolve(answer.toLowerCase() === 'yes');
+        });
+    });
+}
+
+// Which of several accounts for the same number survives: verified first, then the most recently used
+function pickKeeper(users) {
+    const lastSeen = user => new Date(user.lastLogin || user.createdAt || 0).getTime();
+    return [...users].sort((a, b) => (Number(!!b.isVerified) - Number(!!a.isVerified)) || (lastSeen(b) - lastSeen(a)))[0];
+}
+
+/**
+ * Rewrites every stored phone number to E.164, merges accounts that turn out to share a
+ * number (their tasks move to the surviving account) and adds the unique index on phone.
+ * Pass --dry-run to only report what would change.
+ */
+async function migratePhoneNumbers() {
+    const users = mongoose.connection.collection('users');
+    const tasks = mongoose.connection.collection('tasks');
+    const sessions = mongoose.connection.collection('sessions');
+
+    const all = await users.find({ phone: { $type: 'string' } }).toArray();
+    console.log(`Found ${all.length} users with a phone number.`);
+
+    const groups = new Map();
+    const invalid = [];
+    for (const user of all) {
+        const e164 = normalizePhone(user.phone, config.defaultPhoneCountry);
+        if (!e164) {
+            invalid.push(user);
+            continue;
+        }
+        if (!groups.has(e164)) groups.set(e164, []);
+        groups.get(e164).push(user);
+    }
+
+    const duplicates = [...groups.values()].filter(group => group.length > 1);
+    const rewrites = [...groups.entries()].filter(([e164, group]) => group.length === 1 && group[0].phone !== e164);
+
+    console.log(`${rewrites.length} numbers to rewrite, ${duplicates.length} numbers shared by several accounts, ${invalid.length} invalid.`);
+    invalid.forEach(user => console.log(`  ⚠️  Leaving invalid number as is: ${user._id} "${user.phone}"`));
+    duplicates.forEach(group => {
+        const keeper = pickKeeper(group);
+        console.log(`  🔀 ${group.map(u => `"${u.phone}"`).join(', ')} -> keeping ${keeper._id}`);
+    });
+
+    if (config.dryRun) {
+        console.log('\nDry run: no changes made.');
+        return { success: true, dryRun: true };
+    }
+
+    if (duplicates.length > 0) {
+        console.log('\nWARNING: Duplicate accounts will be deleted after their tasks are moved to the kept account.');
+        console.log('Their schedules, focus and settings are not merged. This cannot be undone.\n');
+        if (!(await askToContinue('Are you sure you want to continue? (yes/no): '))) {
+            console.log('Operation cancelled.');
+            return { success: false, message: 'Operation cancelled by user' };
+        }
+    }
+
+    let merged = 0;
+    for (const group of duplicates) {
+        const keeper = pickKeeper(group);
+        const others = group.filter(user => !user._id.equals(keeper._id)).map(user => user._id);
+        const moved = await tasks.updateMany({ userId: { $in: others } }, { $set: { userId: keeper._id } });
+        await sessions.deleteMany({ userId: { $in: others } });
+        await users.deleteMany({ _id: { $in: others } });
+        merged += others.length;
+        console.log(`Merged ${others.length} account(s) into ${keeper._id} (${moved.modifiedCount} tasks moved)`);
+    }
+
+    let rewritten = 0;
+    for (const [e164, group] of groups) {
+        const keeper = group.length > 1 ? pickKeeper(group) : group[0];
+        if (keeper.phone !== e164) {
+            await users.updateOne({ _id: keeper._id }, { $set: { phone: e164 } });
+            rewritten++;
+        }
+    }
+    console.log(`Rewrote ${rewritten} phone numbers, removed ${merged} duplicate accounts.`);
+
+    await users.createIndex(
+        { phone: 1 },
+        { unique: true, partialFilterExpression: { phone: { $type: 'string' } } }
+    );
+    console.log('Unique index on phone is in place.');
+
+    return { success: true, rewritten, merged, invalid: invalid.length };
+}
+
+// Main function
+async function main() {
+    const connected = await connectToDatabase();
+    if (!connected) {
+        process.exit(1);
+    }
+
+    try {
+        await migratePhoneNumbers();
+    } catch (error) {
+        console.error('An error occurred:', error);
+    } finally {
+        // Close the connection
+        await mongoose.connection.close();
+        console.log('MongoDB connection closed.');
+    }
+}
+
+// Run the script
+if (require.main === module) {
+    main();
+}
+
+module.exports = { migratePhoneNumbers };
@@ -1,6 +1,95 @@
 const mongoose = require('mongoose');
 
+const recurrenceSchema = new mongoose.Schema({
+  frequency: {
+    type: String,
+    enum: ['daily', 'weekdays', 'weekly', 'monthly'],
+    required: true
+  },
+  interval: {
+    type: Number,
+    default: 1,
+    min: 1
+  },
+  monthlyBy: {
+    type: String,
+    enum: ['date', 'weekday'],
+    default: 'date'
+  },
+  startDate: {
+    type: Date
+  },
+  endDate: {
+    type: Date,
+    default: null
+  },
+  count: {
+    type: Number,
+    default: null
+  },
+  timeZone: {
+    type: String,
+    default: null
+  },
+  template: {
+    text: String,
+    priority: String,
+    category: String,
+    tags: {
+      type: [String],
+      default: undefined
+    }
+  }
+}, { _id: false });
+
+const checklistItemSchema = new mongoose.Schema({
+  text: {
+    type: String,
+    required: true
+  },
+  completed: {
+    type: Boolean,
+    default: false
+  },
+  completedAt: {
+    type: Date,
+    default: null
+  }
+});
+
+const attachmentSchema = new mongoose.Schema({
+  originalName: {
+    type: String,
+    required: true
+  },
+  storedName: {
+    type: String,
+    required: true
+  },
+  mimeType: {
+    type: String,
+    required: true
+  },
+  size: {
+    type: Number,
+    required: true
+  },
+  uploadedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
 const taskSchema = new mongoose.Schema({
+  listId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'TaskList',
+    default: null
+  },
+  status: {
+    type: String,
+    default: 'todo'
+  },
   text: {
     type: String,
     required: true
@@ -37,7 +126,72 @@ const taskSchema = new mongoose.Schema({
   },
   reminderTime: {
     type: Date
+  },
+  category: {
+    type: String,
+    default: 'work'
+  },
+  tags: {
+    type: [String],
+    default: []
+  },
+  recurrence: {
+    type: recurrenceSchema,
+    default: null
+  },
+  seriesId: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null
+  },
+  occurrence: {
+    type: Number,
+    default: 1
+  },
+  skipped: {
+    type: Boolean,
+    default: false
+  },
+  checklist: {
+    type: [checklistItemSchema],
+    default: []
+  },
+  autoCompleteChecklist: {
+    type: Boolean,
+    default: false
+  },
+  notes: {
+    type: String,
+    default: ''
+  },
+  attachments: {
+    type: [attachmentSchema],
+    default: []
+  },
+  blockedBy: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Task'
+  }],
+  completedAt: {
+    type: Date,
+    default: null
+  },
+  deletedAt: {
+    type: Date,
+    default: null
   }
 });
 
+taskSchema.index({ userId: 1, listId: 1 });
+taskSchema.index({ userId: 1, tags: 1 });
+taskSchema.index({ blockedBy: 1 });
+taskSchema.index(
+  { text: 'text', notes: 'text', tags: 'text' },
+  { weights: { text: 5, tags: 3, notes: 1 }, name: 'task_search' }
+);
+taskSchema.index(
+  { seriesId: 1, occurrence: 1 },
+  { unique: true, partialFilterExpression: { seriesId: { $type: 'objectId' } } }
+);
+taskSchema.index({ deletedAt: 1 }, { sparse: true });
+
 module.exports = mongoose.model('Task', taskSchema);
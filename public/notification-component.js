@@ -47,8 +47,9 @@ class NotificationManager {
 
         this.socket.on('connect', () => {
             console.log('Connected to notification server');
-            if (this.currentUser) {
-                this.socket.emit('join', this.currentUser.id);
+            const token = localStorage.getItem('authToken');
+            if (token) {
+                this.socket.emit('join', token);
             }
         });
 
@@ -0,0 +1,152 @@
+/**
+ * Phone number normalization shared by the server (require) and the browser (window.PhoneUtils).
+ * Numbers are stored, compared and sent to gateways in E.164 form: +<country code><national number>.
+ */
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.PhoneUtils = factory();
+    }
+}(typeof self !== 'undefined' ? self : this, function () {
+    // National number lengths (min/max digits after the country code) and the trunk
+    // prefix dialled domestically, which is dropped in international form
+    const COUNTRIES = [
+        { iso: 'IN', name: 'India', dialCode: '91', min: 10, max: 10, trunk: '0' },
+        { iso: 'US', name: 'United States / Canada', dialCode: '1', min: 10, max: 10, trunk: '1' },
+        { iso: 'GB', name: 'United Kingdom', dialCode: '44', min: 9, max: 10, trunk: '0' },
+        { iso: 'AE', name: 'United Arab Emirates', dialCode: '971', min: 8, max: 9, trunk: '0' },
+        { iso: 'SA', name: 'Saudi Arabia', dialCode: '966', min: 8, max: 9, trunk: '0' },
+        { iso: 'QA', name: 'Qatar', dialCode: '974', min: 8, max: 8, trunk: '' },
+        { iso: 'KW', name: 'Kuwait', dialCode: '965', min: 8, max: 8, trunk: '' },
+        { iso: 'OM', name: 'Oman', dialCode: '968', min: 8, max: 8, trunk: '' },
+        { iso: 'BH', name: 'Bahrain', dialCode: '973', min: 8, max: 8, trunk: '' },
+        { iso: 'SG', name: 'Singapore', dialCode: '65', min: 8, max: 8, trunk: '' },
+        { iso: 'MY', name: 'Malaysia', dialCode: '60', min: 9, max: 10, trunk: '0' },
+        { iso: 'AU', name: 'Australia', dialCode: '61', min: 9, max: 9, trunk: '0' },
+        { iso: 'NZ', name: 'New Zealand', dialCode: '64', min: 8, max: 10, trunk: '0' },
+        { iso: 'DE', name: 'Germany', dialCode: '49', min: 7, max: 12, trunk: '0' },
+        { iso: 'FR', name: 'France', dialCode: '33', min: 9, max: 9, trunk: '0' },
+        { iso: 'NL', name: 'Netherlands', dialCode: '31', min: 9, max: 9, trunk: '0' },
+        { iso: 'IE', name: 'Ireland', dialCode: '353', min: 7, max: 9, trunk: '0' },
+        { iso: 'ES', name: 'Spain', dialCode: '34', min: 9, max: 9, trunk: '' },
+        { iso: 'IT', name: 'Italy', dialCode: '39', min: 6, max: 11, trunk: '' },
+        { iso: 'CH', name: 'Switzerland', dialCode: '41', min: 9, max: 9, trunk: '0' },
+        { iso: 'SE', name: 'Sweden', dialCode: '46', min: 7, max: 10, trunk: '0' },
+        { iso: 'PK', name: 'Pakistan', dialCode: '92', min: 9, max: 10, trunk: '0' },
+        { iso: 'BD', name: 'Bangladesh', dialCode: '880', min: 9, max: 10, trunk: '0' },
+        { iso: 'LK', name: 'Sri Lanka', dialCode: '94', min: 9, max: 9, trunk: '0' },
+        { iso: 'NP', name: 'Nepal', dialCode: '977', min: 8, max: 10, trunk: '0' },
+        { iso: 'CN', name: 'China', dialCode: '86', min: 10, max: 11, trunk: '0' },
+        { iso: 'HK', name: 'Hong Kong', dialCode: '852', min: 8, max: 8, trunk: '' },
+        { iso: 'JP', name: 'Japan', dialCode: '81', min: 9, max: 10, trunk: '0' },
+        { iso: 'PH', name: 'Philippines', dialCode: '63', min: 10, max: 10, trunk: '0' },
+        { iso: 'ID', name: 'Indonesia', dialCode: '62', min: 9, max: 12, trunk: '0' },
+        { iso: 'TH', name: 'Thailand', dialCode: '66', min: 8, max: 9, trunk: '0' },
+        { iso: 'ZA', name: 'South Africa', dialCode: '27', min: 9, max: 9, trunk: '0' },
+        { iso: 'NG', name: 'Nigeria', dialCode: '234', min: 8, max: 10, trunk: '0' },
+        { iso: 'KE', name: 'Kenya', dialCode: '254', min: 9, max: 9, trunk: '0' },
+        { iso: 'BR', name: 'Brazil', dialCode: '55', min: 10, max: 11, trunk: '0' },
+        { iso: 'MX', name: 'Mexico', dialCode: '52', min: 10, max: 10, trunk: '' }
+    ];
+
+    const DEFAULT_COUNTRY = 'IN';
+
+    function findCountry(iso) {
+        return COUNTRIES.find(country => country.iso === String(iso || '').toUpperCase()) || null;
+    }
+
+    // Country codes are prefix-free, so at most one of the 1-3 digit prefixes can match
+    function countryForDigits(digits) {
+        for (let length = 3; length >= 1; length--) {
+            const country = COUNTRIES.find(c => c.dialCode === digits.substring(0, length));
+            if (country) return country;
+        }
+        return null;
+    }
+
+    function fitsCountry(country, nationalNumber) {
+        return nationalNumber.length >= country.min && nationalNumber.length <= country.max;
+    }
+
+    /**
+     * Parses a phone number typed in any common format.
+     * Numbers starting with + or 00 are international; anything else is read as a national
+     * number of the default country (legacy values that already carry its country code,
+     * like 91XXXXXXXXXX, are recognised too).
+     * @param {string} input - The raw phone number
+     * @param {string} [defaultCountry='IN'] - ISO code used for numbers without a country code
+     * @returns {{e164: string, country: string|null, dialCode: string, nationalNumber: string}|null}
+     *   null if the number can't be valid
+     */
+    function parsePhone(input, defaultCountry = DEFAULT_COUNTRY) {
+        const raw = String(input || '').trim();
+        if (!raw || /[^\d\s()+.\-]/.test(raw)) return null;
+
+        let digits = raw.replace(/\D/g, '');
+        const international = raw.startsWith('+') || digits.startsWith('00');
+        if (digits.startsWith('00')) digits = digits.substring(2);
+        if (!digits) return null;
+
+        if (international) {
+            const country = countryForDigits(digits);
+            if (country) {
+                const nationalNumber = digits.substring(country.dialCode.length);
+                if (!fitsCountry(country, nationalNumber)) return null;
+                return { e164: `+${digits}`, country: country.iso, dialCode: country.dialCode, nationalNumber };
+            }
+            // Country we have no length rules for: accept anything E.164 allows
+            if (digits.length < 8 || digits.length > 15) return null;
+            return { e164: `+${digits}`, country: null, dialCode: '', nationalNumber: digits };
+        }
+
+        const country = findCountry(defaultCountry) || findCountry(DEFAULT_COUNTRY);
+        let nationalNumber = digits;
+        if (country.trunk && nationalNumber.startsWith(country.trunk) && !fitsCountry(country, nationalNumber)) {
+            nationalNumber = nationalNumber.substring(country.trunk.length);
+        }
+        if (!fitsCountry(country, nationalNumber) && digits.startsWith(country.dialCode)) {
+            // Stored without the +, e.g. 91XXXXXXXXXX
+            nationalNumber = digits.substring(country.dialCode.length);
+        }
+        if (!fitsCountry(country, nationalNumber)) return null;
+        return { e164: `+${country.dialCode}${nationalNumber}`, country: country.iso, dialCode: country.dialCode, nationalNumber };
+    }
+
+    /**
+     * Normalizes a phone number to E.164.
+     * @param {string} input - The raw phone number
+     * @param {string} [defaultCountry='IN'] - ISO code used for numbers without a country code
+     * @returns {string|null} - e.g. '+919876543210', or null if invalid
+     */
+    function normalizePhone(input, defaultCountry) {
+        const parsed = parsePhone(input, defaultCountry);
+        return parsed ? parsed.e164 : null;
+    }
+
+    function isValidPhone(input, defaultCountry) {
+        return parsePhone(input, defaultCountry) !== null;
+    }
+
+    // '+91 9876543210' for display
+    function formatPhone(e164) {
+        const parsed = parsePhone(e164);
+        if (!parsed) return String(e164 || '');
+        return parsed.dialCode ? `+${parsed.dialCode} ${parsed.nationalNumber}` : parsed.e164;
+    }
+
+    // Digits only, as the WhatsApp and SMS gateways expect (no leading +)
+    function toGatewayNumber(e164) {
+        return String(e164 || '').replace(/\D/g, '');
+    }
+
+    return {
+        COUNTRIES,
+        DEFAULT_COUNTRY,
+        parsePhone,
+        normalizePhone,
+        isValidPhone,
+        formatPhone,
+        toGatewayNumber
+    };
+}));
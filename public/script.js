@@ -9,6 +9,174 @@ function escapeHtml(text) {
         .replace(/'/g, "&#039;");
 }
 
+// Small Markdown subset for task notes: headings, lists, quotes, code, bold/italic and http(s)/mailto links.
+// The text is escaped before any markup is added, so nothing from the note itself can become HTML.
+function renderMarkdown(text) {
+    const inline = (line) => line
+        .replace(/`([^`]+)`/g, '<code>$1</code>')
+        .replace(/\*\*([^*]+)\*\*/g, '<strong>$1</strong>')
+        .replace(/(^|[^*])\*([^*\s][^*]*)\*/g, '$1<em>$2</em>')
+        .replace(/\[([^\]]+)\]\(((?:https?:\/\/|mailto:)[^\s)]+)\)/g, '<a href="$2" target="_blank" rel="noopener noreferrer">$1</a>');
+
+    const html = [];
+    let list = null; // 'ul' or 'ol' while inside a list
+    let inCode = false;
+    const closeList = () => {
+        if (list) html.push(`</${list}>`);
+        list = null;
+    };
+
+    escapeHtml(text || '').split('\n').forEach(line => {
+        if (line.trim().startsWith('```')) {
+            closeList();
+            html.push(inCode ? '</code></pre>' : '<pre><code>');
+            inCode = !inCode;
+            return;
+        }
+        if (inCode) {
+            html.push(line + '\n');
+            return;
+        }
+        const heading = line.match(/^(#{1,3})\s+(.*)$/);
+        const bullet = line.match(/^\s*[-*]\s+(.*)$/);
+        const numbered = line.match(/^\s*\d+\.\s+(.*)$/);
+        if (bullet || numbered) {
+            const type = bullet ? 'ul' : 'ol';
+            if (list !== type) {
+                closeList();
+                html.push(`<${type}>`);
+                list = type;
+            }
+            html.push(`<li>${inline((bullet || numbered)[1])}</li>`);
+            return;
+        }
+        closeList();
+        if (heading) {
+            const level = heading[1].length + 2; // # -> h3, so notes never outrank the modal title
+            html.push(`<h${level}>${inline(heading[2])}</h${level}>`);
+        } else if (line.startsWith('&gt; ')) {
+            html.push(`<blockquote>${inline(line.slice(5))}</blockquote>`);
+        } else if (line.trim()) {
+            html.push(`<p>${inline(line)}</p>`);
+        }
+    });
+    closeList();
+    if (inCode) html.push('</code></pre>');
+    return html.join('');
+}
+
+// Headers for authenticated API calls; the server derives the user from the token
+function getAuthHeaders() {
+    const token = localStorage.getItem('authToken');
+    return {
+        'Content-Type': 'application/json',
+        'Authorization': `Bearer ${token}`
+    };
+}
+
+// Trade the stored refresh token for a new token pair; resolves false if the session is gone
+let refreshInFlight = null;
+function refreshAuthToken() {
+    const staleToken = localStorage.getItem('refreshToken');
+    if (!staleToken) return Promise.resolve(false);
+
+    // Tabs share one refresh token, so only one tab at a time may rotate it. A tab that waited
+    // for the lock finds the token already replaced and just uses the new pair from storage.
+    const rotate = () => {
+        const refreshToken = localStorage.getItem('refreshToken');
+        if (!refreshToken) return false;
+        if (refreshToken !== staleToken) return true;
+        return fetch('/api/auth/refresh', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ refreshToken })
+        })
+            .then(res => res.ok ? res.json() : null)
+            .then(data => {
+                if (!data || !data.success) return false;
+                localStorage.setItem('authToken', data.token);
+                // null when another tab (without Web Locks) rotated first and already stored it
+                if (data.refreshToken) localStorage.setItem('refreshToken', data.refreshToken);
+                return true;
+            });
+    };
+
+    // Concurrent 401s in this tab share one refresh so the rotated token isn't replayed
+    if (!refreshInFlight) {
+        refreshInFlight = Promise.resolve(navigator.locks ? navigator.locks.request('planello-token-refresh', rotate) : rotate())
+            .catch(() => false)
+            .finally(() => { refreshInFlight = null; });
+    }
+    return refreshInFlight;
+}
+
+// fetch() for authenticated API calls: refreshes the access token once on a 401, logs out if that fails
+async function authFetch(url, options = {}) {
+    const send = () => {
+        const headers = { ...getAuthHeaders(), ...(options.headers || {}) };
+        // Uploads: the browser has to set the multipart Content-Type itself, boundary included
+        if (options.body instanceof FormData) delete headers['Content-Type'];
+        return fetch(url, { ...options, headers });
+    };
+    let res = await send();
+    if (res.status === 401) {
+        if (await refreshAuthToken()) {
+            res = await send();
+        }
+        if (res.status === 401) {
+            planelloLogout();
+        }
+    }
+    return res;
+}
+
+// "2.4 MB" style sizes for attachment lists
+function formatBytes(bytes) {
+    if (!bytes) return '0 B';
+    const units = ['B', 'KB', 'MB', 'GB'];
+    const i = Math.min(Math.floor(Math.log(bytes) / Math.log(1024)), units.length - 1);
+    return `${(bytes / Math.pow(1024, i)).toFixed(i ? 1 : 0)} ${units[i]}`;
+}
+
+// Tracked time as "2h 05m", "12m" or "<1m"
+function formatDuration(ms) {
+    const minutes = Math.floor((ms || 0) / 60000);
+    if (minutes < 1) return '<1m';
+    const hours = Math.floor(minutes / 60);
+    return hours ? `${hours}h ${String(minutes % 60).padStart(2, '0')}m` : `${minutes}m`;
+}
+
+// A running timer as "1:02:03"
+function formatClock(ms) {
+    const seconds = Math.max(0, Math.floor(ms / 1000));
+    const pad = n => String(n).padStart(2, '0');
+    return `${Math.floor(seconds / 3600)}:${pad(Math.floor(seconds / 60) % 60)}:${pad(seconds % 60)}`;
+}
+
+// Tasks fetched per page; further pages load as the list is scrolled
+const TASK_PAGE_SIZE = 50;
+
+// Presets offered by the repeat dropdown, as the rules POST /api/tasks expects
+const REPEAT_PRESETS = {
+    'daily': { frequency: 'daily' },
+    'weekdays': { frequency: 'weekdays' },
+    'weekly': { frequency: 'weekly' },
+    'biweekly': { frequency: 'weekly', interval: 2 },
+    'monthly-date': { frequency: 'monthly', monthlyBy: 'date' },
+    'monthly-weekday': { frequency: 'monthly', monthlyBy: 'weekday' }
+};
+
+// Short label for a task's repeat rule, e.g. "Every 2 weeks"
+function describeRecurrence(rule) {
+    if (!rule) return '';
+    const units = { daily: 'day', weekly: 'week', monthly: 'month' };
+    if (rule.frequency === 'weekdays') return 'Every weekday';
+    const interval = rule.interval || 1;
+    let label = interval === 1 ? `Every ${units[rule.frequency]}` : `Every ${interval} ${units[rule.frequency]}s`;
+    if (rule.frequency === 'monthly' && rule.monthlyBy === 'weekday') label += ' (same weekday)';
+    return label;
+}
+
 // --- MongoDB-backed TaskManager ---
 class TaskManager {
     async saveEdit() {
@@ -16,14 +184,24 @@ class TaskManager {
         const newText = this.editTaskInput.value.trim();
         const newPriority = this.editPrioritySelect ? this.editPrioritySelect.value : 'medium';
         if (!newText) return;
+        const scope = this.editSeriesCheckbox && this.editSeriesCheckbox.checked ? 'series' : 'occurrence';
+        const update = { text: newText, priority: newPriority, scope };
+        if (this.editCategorySelect && this.editCategorySelect.value) update.category = this.editCategorySelect.value;
+        if (this.editTagsInput) update.tags = this.editTagsInput.value;
+        if (this.editNotesInput) update.notes = this.editNotesInput.value;
+        if (this.editListSelect) update.listId = this.editListSelect.value;
         // Update on server
-        const res = await fetch(`/api/tasks/${this.editingTaskId}`, {
+        const res = await authFetch(`/api/tasks/${this.editingTaskId}`, {
             method: 'PUT',
-            headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify({ text: newText, priority: newPriority })
+            body: JSON.stringify(update)
         });
         const updatedTask = await res.json();
-        this.tasks = this.tasks.map(t => t._id === this.editingTaskId ? updatedTask : t);
+        if (!res.ok) {
+            this.showNotification(updatedTask.error || 'Could not save the task', 'error');
+            return;
+        }
+        this.applyTaskUpdate(this.editingTaskId, updatedTask);
+        if (!(await this.saveDependencies(this.editingTaskId))) return;
         this.closeEditModal();
         this.renderTasks();
         this.updateStats();
@@ -34,14 +212,63 @@ class TaskManager {
         this.editingTaskId = id;
         this.editTaskInput.value = task.text;
         if (this.editPrioritySelect) this.editPrioritySelect.value = task.priority || 'medium';
+        if (this.editCategorySelect) this.editCategorySelect.value = task.category || '';
+        if (this.editTagsInput) this.editTagsInput.value = (task.tags || []).join(', ');
+        if (this.editNotesInput) {
+            this.editNotesInput.value = task.notes || '';
+            this.showNotesTab(task.notes ? 'preview' : 'write');
+        }
+        this.renderAttachmentList(task);
+        this.loadTimeEntries(id);
+        this.renderBlockedByOptions(task);
+        if (this.editListSelect) {
+            this.renderListOptions(task.listId);
+            this.editListSelect.value = task.listId || 'inbox';
+        }
+        if (this.editSeriesRow) this.editSeriesRow.style.display = task.recurrence ? '' : 'none';
+        if (this.editSeriesCheckbox) this.editSeriesCheckbox.checked = false;
         this.showEditModal();
     }
     constructor() {
-        this.phone = localStorage.getItem('currentUserPhone') || null;
+        this.token = localStorage.getItem('authToken') || null;
         this.tasks = [];
+        this.openChecklists = new Set(); // task ids whose checklist panel is expanded
+        this.categories = [];
+        this.categoryFilter = '';
+        this.tagFilter = '';
+        this.allTags = []; // every tag the user has used, from /api/tags
+        this.dueFilter = ''; // '', 'overdue', 'today', 'week' or 'none'
+        this.sort = localStorage.getItem('taskSort') || 'created';
+        this.nextCursor = null; // where the next page of tasks starts; null once everything is loaded
+        this.taskRequest = 0; // bumped per reload so a slow response for old filters is dropped
+        this.loadingMore = false;
+        this.taskStats = null; // counts and analytics over every task, from /api/tasks/stats
+        this.taskStatsTimer = null;
+        this.selecting = false; // multi-select mode for bulk actions
+        this.selectedIds = new Set();
+        this.undoStack = []; // deletions that can be undone, as lists of trashed task ids
+        this.redoStack = [];
+        this.lists = []; // every list, archived ones included
+        this.currentListId = ''; // '' = all tasks, 'inbox', or a list id
+        this.inboxStatuses = [
+            { key: 'todo', name: 'To do', done: false },
+            { key: 'in-progress', name: 'In progress', done: false },
+            { key: 'done', name: 'Done', done: true }
+        ];
+        this.view = localStorage.getItem('taskView') === 'board' ? 'board' : 'list';
+        this.statusDraft = null; // { listId, statuses } while a list's columns are being edited
+        this.quickAdd = null; // { input, parsed }: the last quick-add text the server read
+        this.quickAddTimer = null;
+        this.timer = null; // { taskId, taskText, startedAt } while a time-tracking timer runs
+        this.timerTick = null;
         this.initializeElements();
         this.bindEvents();
+        this.loadCategories();
+        this.loadLists();
         this.loadTasks();
+        this.loadTags();
+        this.loadTimer();
+        this.loadTimeReport();
     }
     // Persist tasks to localStorage (for offline support and better UX)
     saveTasks() {
@@ -53,14 +280,26 @@ class TaskManager {
                 completed: task.completed,
                 dueDate: task.dueDate,
                 reminderTime: task.reminderTime,
+                recurrence: task.recurrence,
+                seriesId: task.seriesId,
+                skipped: task.skipped,
+                checklist: task.checklist,
+                category: task.category,
+                tags: task.tags,
+                notes: task.notes,
+                attachments: task.attachments,
+                listId: task.listId,
+                status: task.status,
+                blockedBy: task.blockedBy,
+                blocked: task.blocked,
+                timeSpentMs: task.timeSpentMs,
                 createdAt: task.createdAt
             }));
 
             // Save to localStorage with a timestamp
             const saveData = {
                 tasks: tasksToSave,
-                lastUpdated: new Date().toISOString(),
-                phone: this.phone
+                lastUpdated: new Date().toISOString()
             };
 
             localStorage.setItem('planello_tasks', JSON.stringify(saveData));
@@ -84,15 +323,38 @@ class TaskManager {
         }
     }
 
+    // The server filters, sorts and pages tasks; this.tasks holds the pages loaded so far. The board
+    // isn't paged: a column would otherwise show only the cards that happened to be on loaded pages.
+    taskQuery(cursor = null) {
+        const params = new URLSearchParams({ sort: this.sort });
+        if (this.view !== 'board') params.set('limit', TASK_PAGE_SIZE);
+        if (this.currentFilter === 'pending') params.set('status', 'open');
+        if (this.currentFilter === 'completed') params.set('status', 'completed');
+        if (this.currentFilter === 'high') params.set('priority', 'high');
+        if (this.currentListId) params.set('listId', this.currentListId);
+        if (this.categoryFilter) params.set('category', this.categoryFilter);
+        if (this.tagFilter) params.set('tag', this.tagFilter);
+        if (this.dueFilter) {
+            params.set('due', this.dueFilter);
+            params.set('tz', Intl.DateTimeFormat().resolvedOptions().timeZone);
+        }
+        const search = this.searchInput ? this.searchInput.value.trim() : '';
+        if (search) params.set('q', search);
+        if (cursor) params.set('cursor', cursor);
+        return `/api/tasks?${params}`;
+    }
+
+    // Reloads the first page for the current filters
     async loadTasks() {
-        if (!this.phone) {
-            console.log('No phone number found, skipping task load');
+        if (!this.token) {
+            console.log('No auth token found, skipping task load');
             return;
         }
 
+        const request = ++this.taskRequest;
         try {
-            console.log('Loading tasks for phone:', this.phone);
-            const res = await fetch(`/api/tasks?phone=${encodeURIComponent(this.phone)}`);
+            console.log('Loading tasks');
+            const res = await authFetch(this.taskQuery());
 
             if (!res.ok) {
                 const errorText = await res.text();
@@ -101,16 +363,20 @@ class TaskManager {
                 return;
             }
 
-            const tasks = await res.json();
-            console.log('Loaded tasks:', tasks);
+            const body = await res.json();
+            if (request !== this.taskRequest) return; // the filters changed while this was loading
+            console.log('Loaded tasks:', body);
+            // Unpaged (board) requests get every matching task as a plain array
+            const data = Array.isArray(body) ? { tasks: body, nextCursor: null } : body;
 
-            // Ensure we have a valid array of tasks
-            if (Array.isArray(tasks)) {
-                this.tasks = tasks;
+            // Ensure we have a valid page of tasks
+            if (Array.isArray(data.tasks)) {
+                this.tasks = data.tasks;
+                this.nextCursor = data.nextCursor;
                 this.renderTasks();
                 this.updateStats();
             } else {
-                console.error('Invalid tasks data received:', tasks);
+                console.error('Invalid tasks data received:', data);
                 this.showNotification('Error: Invalid task data received', 'error');
             }
 
@@ -132,8 +398,1143 @@ class TaskManager {
         }
     }
 
-    async addTask(text, priority = 'medium', reminderTime = null) {
-        if (!this.phone) {
+    // Appends the next page; tasks already on screen (e.g. added since) are not repeated
+    async loadMoreTasks() {
+        if (!this.nextCursor || this.loadingMore) return;
+        const request = this.taskRequest;
+        this.loadingMore = true;
+        this.updateLoadMore();
+        try {
+            const res = await authFetch(this.taskQuery(this.nextCursor));
+            const data = await res.json();
+            if (request !== this.taskRequest) return;
+            if (!res.ok) {
+                this.showNotification(data.error || 'Failed to load more tasks', 'error');
+                return;
+            }
+            const loaded = new Set(this.tasks.map(t => t._id));
+            this.tasks = [...this.tasks, ...data.tasks.filter(t => !loaded.has(t._id))];
+            this.nextCursor = data.nextCursor;
+            this.renderTasks();
+            this.updateStats();
+        } catch (err) {
+            console.error('Error loading more tasks:', err);
+        } finally {
+            this.loadingMore = false;
+            this.updateLoadMore();
+        }
+    }
+
+    updateLoadMore() {
+        if (!this.loadMoreBtn) return;
+        this.loadMoreBtn.style.display = this.nextCursor ? 'flex' : 'none';
+        this.loadMoreBtn.disabled = this.loadingMore;
+    }
+
+    // Shows the current filters right away from what is loaded, then asks the server for the full result
+    refreshTasks() {
+        this.renderTasks();
+        this.loadTasks();
+    }
+
+    async loadTags() {
+        try {
+            const res = await authFetch('/api/tags');
+            const data = await res.json();
+            if (!res.ok || !data.success) return;
+            this.allTags = data.tags.map(t => t.tag);
+            this.renderTagOptions();
+        } catch (err) {
+            console.error('Error loading tags:', err);
+        }
+    }
+
+    // Header counts and analytics cover every task, not just the loaded pages or the current filters
+    async loadTaskStats() {
+        clearTimeout(this.taskStatsTimer);
+        try {
+            const tz = encodeURIComponent(Intl.DateTimeFormat().resolvedOptions().timeZone);
+            const res = await authFetch(`/api/tasks/stats?tz=${tz}`);
+            if (!res.ok) return;
+            this.taskStats = await res.json();
+            this.renderHeaderStats();
+            this.renderAnalytics();
+        } catch (err) {
+            console.error('Error loading task stats:', err);
+        }
+    }
+
+    scheduleTaskStats() {
+        clearTimeout(this.taskStatsTimer);
+        this.taskStatsTimer = setTimeout(() => this.loadTaskStats(), 500);
+    }
+
+    // Replaces a task with the server's copy; completing or skipping a repeating task also returns
+    // the next occurrence, which joins the list
+    applyTaskUpdate(id, updatedTask) {
+        const { nextOccurrence, ...task } = updatedTask;
+        this.tasks = this.tasks.map(t => t._id === id ? task : t);
+        if (nextOccurrence && !this.tasks.some(t => t._id === nextOccurrence._id)) {
+            this.tasks.push(nextOccurrence);
+        }
+    }
+
+    // --- Multi-select and bulk actions ---
+    setSelectMode(on) {
+        this.selecting = on;
+        this.selectedIds.clear();
+        if (this.selectModeBtn) this.selectModeBtn.classList.toggle('active', on);
+        this.renderTasks();
+        this.updateBulkBar();
+    }
+
+    toggleSelected(id, selected) {
+        if (selected) this.selectedIds.add(id);
+        else this.selectedIds.delete(id);
+        const item = this.tasksList.querySelector(`.task-item[data-id="${id}"]`);
+        if (item) item.classList.toggle('selected', selected);
+        this.updateBulkBar();
+    }
+
+    // Selects what is shown; pages that aren't loaded yet are not included
+    selectAllTasks() {
+        const shown = this.getFilteredTasks().map(t => t._id);
+        const all = shown.every(id => this.selectedIds.has(id));
+        shown.forEach(id => all ? this.selectedIds.delete(id) : this.selectedIds.add(id));
+        this.renderTasks();
+        this.updateBulkBar();
+    }
+
+    updateBulkBar() {
+        if (!this.bulkBar) return;
+        this.bulkBar.style.display = this.selecting ? 'flex' : 'none';
+        if (!this.selecting) return;
+        const count = this.selectedIds.size;
+        this.bulkCount.textContent = `${count} selected`;
+        this.bulkBar.querySelectorAll('[data-bulk-action], select, input').forEach(control => { control.disabled = count === 0; });
+        this.bulkCategorySelect.innerHTML = '<option value="">Set category...</option>' +
+            this.categories.map(c => `<option value="${escapeHtml(c.key)}">${escapeHtml(c.name)}</option>`).join('');
+        this.bulkListSelect.innerHTML = '<option value="">Move to...</option><option value="inbox">Inbox</option>' +
+            this.activeLists().map(l => `<option value="${l._id}">${escapeHtml(l.name)}</option>`).join('');
+    }
+
+    runBulkButton(action) {
+        if (action === 'reschedule') {
+            const due = this.bulkDueInput.value;
+            if (!due) {
+                this.showNotification('Pick a new due date first', 'warning');
+                return;
+            }
+            this.bulkUpdate('reschedule', { dueDate: new Date(due).toISOString() });
+        } else if (action === 'delete') {
+            if (confirm(`Delete ${this.selectedIds.size} task${this.selectedIds.size === 1 ? '' : 's'}?`)) this.bulkUpdate('delete');
+        } else {
+            this.bulkUpdate(action);
+        }
+    }
+
+    /**
+     * Sends one bulk request for the selected tasks (or `target.filter`) and applies what the server did.
+     * @param {string} action - complete, uncomplete, delete, move, priority, category or reschedule
+     * @param {Object} fields - The action's own fields, e.g. { priority: 'high' }
+     * @param {Object} target - { ids } or { filter }; the selection by default
+     * @returns {Promise<Object|null>} The server's response, or null if the request failed
+     */
+    async bulkUpdate(action, fields = {}, target = { ids: [...this.selectedIds] }) {
+        try {
+            const res = await authFetch('/api/tasks/bulk', {
+                method: 'POST',
+                body: JSON.stringify({ action, ...target, ...fields })
+            });
+            const data = await res.json();
+            if (!res.ok || !data.success) {
+                this.showNotification(data.error || 'Failed to update tasks', 'error');
+                return null;
+            }
+            for (const result of data.results) {
+                if (!result.ok) continue;
+                if (action === 'delete') {
+                    this.tasks = this.tasks.filter(t => t._id !== result.id);
+                } else {
+                    this.applyTaskUpdate(result.id, result.task);
+                }
+                this.selectedIds.delete(result.id);
+            }
+            // Only what actually reached the Trash can be undone
+            if (action === 'delete') {
+                const trashedIds = data.results.filter(result => result.ok).map(result => result.id);
+                if (trashedIds.length) this.pushUndo(trashedIds);
+            }
+            const done = action === 'delete' ? 'moved to Trash' : 'updated';
+            const failed = data.results.filter(result => !result.ok);
+            if (failed.length) {
+                this.showNotification(`${data.succeeded} ${done}, ${failed.length} failed: ${failed[0].error}`, 'warning');
+            } else {
+                this.showNotification(`${data.succeeded} task${data.succeeded === 1 ? '' : 's'} ${done}`, 'success');
+            }
+            this.saveTasks();
+            this.renderTasks();
+            this.updateStats();
+            this.updateBulkBar();
+            return data;
+        } catch (err) {
+            console.error('Error applying bulk action:', err);
+            this.showNotification('Failed to update tasks. Please check your connection.', 'error');
+            return null;
+        }
+    }
+
+    // Every completed task goes in one request, including ones on pages that aren't loaded
+    async clearCompleted() {
+        const data = await this.bulkUpdate('delete', {}, { filter: { status: 'completed' } });
+        if (data) this.tasks = this.tasks.filter(t => !t.completed);
+        this.renderTasks();
+    }
+
+    // --- Trash ---
+    // Deleted tasks stay on the server for a while and can be put back from here, even after a reload
+    async loadTrash() {
+        try {
+            const res = await authFetch('/api/trash');
+            const data = await res.json();
+            if (!res.ok || !data.success) {
+                this.showNotification(data.error || 'Failed to load the Trash', 'error');
+                return;
+            }
+            this.renderTrash(data.tasks);
+            document.getElementById('trashHint').textContent =
+                `Tasks are deleted for good ${data.retentionDays} days after they were moved here.`;
+        } catch (err) {
+            console.error('Error loading trash:', err);
+        }
+    }
+
+    renderTrash(tasks) {
+        document.getElementById('emptyTrashBtn').style.display = tasks.length ? '' : 'none';
+        this.trashList.innerHTML = tasks.map(task => `
+            <div class="category-row trash-row" data-task-id="${task._id}">
+                <span class="trash-text">
+                    ${escapeHtml(task.text)}
+                    <span class="trash-date">Deleted ${new Date(task.deletedAt).toLocaleDateString()} · removed ${new Date(task.purgeAt).toLocaleDateString()}</span>
+                </span>
+                <button class="action-btn" data-trash-action="restore" title="Restore"><i class="fas fa-undo"></i></button>
+                <button class="action-btn" data-trash-action="purge" title="Delete forever"><i class="fas fa-times"></i></button>
+            </div>`).join('') || '<p class="category-hint">The Trash is empty.</p>';
+    }
+
+    async handleTrashAction(e) {
+        const button = e.target.closest('[data-trash-action]');
+        if (!button) return;
+        const id = button.closest('.trash-row').dataset.taskId;
+        if (button.dataset.trashAction === 'restore') {
+            const res = await authFetch(`/api/trash/${id}/restore`, { method: 'POST' });
+            const data = await res.json();
+            if (!res.ok || !data.success) {
+                this.showNotification(data.error || 'Failed to restore task', 'error');
+                return;
+            }
+            if (!this.tasks.some(t => t._id === id)) this.tasks.push(data.task);
+            this.renderTasks();
+            this.updateStats();
+            this.showNotification('Task restored', 'success');
+        } else {
+            if (!confirm('Delete this task forever? Its attachments and tracked time go with it.')) return;
+            const res = await authFetch(`/api/trash/${id}`, { method: 'DELETE' });
+            if (!res.ok) {
+                this.showNotification('Failed to delete task', 'error');
+                return;
+            }
+        }
+        this.loadTrash();
+    }
+
+    async emptyTrash() {
+        if (!confirm('Delete everything in the Trash forever?')) return;
+        const res = await authFetch('/api/trash', { method: 'DELETE' });
+        if (!res.ok) {
+            this.showNotification('Failed to empty the Trash', 'error');
+            return;
+        }
+        this.loadTrash();
+    }
+
+    // --- Categories and tags ---
+    async loadCategories() {
+        if (!this.token) return;
+        try {
+            const res = await authFetch('/api/categories');
+            const data = await res.json();
+            if (!res.ok || !data.success) return;
+            this.categories = data.categories;
+            this.renderCategoryOptions();
+            this.renderTasks();
+            this.updateStats();
+        } catch (err) {
+            console.error('Error loading categories:', err);
+        }
+    }
+
+    categoryFor(key) {
+        return this.categories.find(c => c.key === key) || null;
+    }
+
+    categoryLabel(key) {
+        const category = this.categoryFor(key);
+        return category ? category.name : (key ? key.charAt(0).toUpperCase() + key.slice(1) : 'Uncategorized');
+    }
+
+    // Fills every category dropdown from this.categories, keeping the current selections
+    renderCategoryOptions() {
+        const options = this.categories.map(c => `<option value="${escapeHtml(c.key)}">${escapeHtml(c.name)}</option>`).join('');
+        [this.categorySelect, this.editCategorySelect].forEach(select => {
+            if (!select) return;
+            const current = select.value;
+            select.innerHTML = options;
+            if (this.categoryFor(current)) select.value = current;
+        });
+        if (this.categoryFilterSelect) {
+            this.categoryFilterSelect.innerHTML = `<option value="">All categories</option>${options}`;
+            this.categoryFilterSelect.value = this.categoryFor(this.categoryFilter) ? this.categoryFilter : '';
+        }
+        this.renderCategoriesList();
+    }
+
+    // Tag filter choices: every tag from /api/tags, plus any on tasks added or edited since
+    renderTagOptions() {
+        if (!this.tagFilterSelect) return;
+        const tags = [...new Set([...this.allTags, ...this.tasks.flatMap(t => t.tags || [])])].sort();
+        if (this.tagFilter && !tags.includes(this.tagFilter)) tags.push(this.tagFilter);
+        this.tagFilterSelect.innerHTML = '<option value="">All tags</option>' +
+            tags.map(tag => `<option value="${escapeHtml(tag)}">#${escapeHtml(tag)}</option>`).join('');
+        this.tagFilterSelect.value = this.tagFilter;
+    }
+
+    setTagFilter(tag) {
+        this.tagFilter = tag;
+        this.refreshTasks();
+    }
+
+    renderCategoriesList() {
+        if (!this.categoriesList) return;
+        this.categoriesList.innerHTML = this.categories.map(c => `
+            <div class="category-row" data-key="${escapeHtml(c.key)}">
+                <input type="color" class="category-color" value="${escapeHtml(c.color)}" aria-label="Color">
+                <input type="text" class="category-icon-input" value="${escapeHtml(c.icon)}" aria-label="Icon">
+                <input type="text" class="edit-input category-name" value="${escapeHtml(c.name)}" maxlength="40" aria-label="Name">
+                <button class="action-btn" data-category-action="save" title="Save"><i class="fas fa-check"></i></button>
+                <button class="action-btn" data-category-action="delete" title="Delete"><i class="fas fa-trash"></i></button>
+            </div>
+        `).join('');
+    }
+
+    // Sends a category change; the server answers with the full, updated list
+    async saveCategory(method, path, body) {
+        const res = await authFetch(`/api/categories${path}`, {
+            method,
+            body: body ? JSON.stringify(body) : undefined
+        });
+        const data = await res.json();
+        if (!res.ok || !data.success) {
+            this.showNotification(data.error || 'Could not update categories', 'error');
+            return false;
+        }
+        this.categories = data.categories;
+        this.renderCategoryOptions();
+        return data;
+    }
+
+    async addCategory() {
+        const name = this.newCategoryName.value.trim();
+        if (!name) return;
+        const saved = await this.saveCategory('POST', '', {
+            name,
+            color: this.newCategoryColor.value,
+            icon: this.newCategoryIcon.value.trim() || 'tag'
+        });
+        if (saved) this.newCategoryName.value = '';
+    }
+
+    async handleCategoryRowAction(e) {
+        const button = e.target.closest('[data-category-action]');
+        if (!button) return;
+        const row = button.closest('.category-row');
+        const key = row.getAttribute('data-key');
+
+        if (button.dataset.categoryAction === 'save') {
+            const saved = await this.saveCategory('PUT', `/${encodeURIComponent(key)}`, {
+                name: row.querySelector('.category-name').value,
+                color: row.querySelector('.category-color').value,
+                icon: row.querySelector('.category-icon-input').value.trim()
+            });
+            if (saved) {
+                this.renderTasks();
+                this.updateStats();
+                this.showNotification('Category saved', 'success');
+            }
+            return;
+        }
+
+        const others = this.categories.filter(c => c.key !== key);
+        const inUse = this.tasks.some(t => t.category === key);
+        if (inUse && !confirm(`Delete "${this.categoryLabel(key)}"? Its tasks will move to "${others.length ? others[0].name : 'Uncategorized'}".`)) {
+            return;
+        }
+        const moveTo = others.length ? `?moveTo=${encodeURIComponent(others[0].key)}` : '';
+        const saved = await this.saveCategory('DELETE', `/${encodeURIComponent(key)}${moveTo}`);
+        if (saved) {
+            const newKey = others.length ? others[0].key : null;
+            this.tasks = this.tasks.map(t => t.category === key ? { ...t, category: newKey } : t);
+            if (this.categoryFilter === key) this.categoryFilter = '';
+            this.renderCategoryOptions();
+            this.renderTasks();
+            this.updateStats();
+        }
+    }
+
+    // --- Lists (projects) ---
+    async loadLists() {
+        if (!this.token) return;
+        try {
+            const res = await authFetch('/api/lists?includeArchived=true');
+            const data = await res.json();
+            if (!res.ok || !data.success) return;
+            this.lists = data.lists;
+            if (data.inbox && data.inbox.statuses) this.inboxStatuses = data.inbox.statuses;
+            this.renderListTabs();
+            this.renderListsManager();
+            this.updateStats();
+        } catch (err) {
+            console.error('Error loading lists:', err);
+        }
+    }
+
+    activeLists() {
+        return this.lists.filter(l => !l.archivedAt);
+    }
+
+    listName(listId) {
+        if (!listId) return 'Inbox';
+        const list = this.lists.find(l => l._id === listId);
+        return list ? list.name : 'Inbox';
+    }
+
+    renderListTabs() {
+        if (!this.listTabs) return;
+        const tabs = [{ _id: '', name: 'All tasks' }, { _id: 'inbox', name: 'Inbox' }, ...this.activeLists()];
+        if (this.currentListId && !tabs.some(t => t._id === this.currentListId)) this.currentListId = '';
+        this.listTabs.innerHTML = tabs.map(list => `
+            <button class="list-tab ${list._id === this.currentListId ? 'active' : ''}" data-list-id="${list._id}" role="tab">
+                ${list.color ? `<span class="list-dot" style="background:${escapeHtml(list.color)}"></span>` : ''}
+                ${escapeHtml(list.name)}
+            </button>`).join('');
+    }
+
+    // Options for moving a task: the Inbox, active lists, and the task's own list even if archived
+    renderListOptions(currentListId = null) {
+        if (!this.editListSelect) return;
+        const lists = this.lists.filter(l => !l.archivedAt || l._id === currentListId);
+        this.editListSelect.innerHTML = '<option value="inbox">Inbox</option>' +
+            lists.map(l => `<option value="${l._id}">${escapeHtml(l.name)}${l.archivedAt ? ' (archived)' : ''}</option>`).join('');
+    }
+
+    switchList(listId) {
+        this.currentListId = listId;
+        this.renderListTabs();
+        this.refreshTasks();
+    }
+
+    renderListsManager() {
+        if (!this.listsList) return;
+        this.listsList.innerHTML = this.lists.map((list, index) => `
+            <div class="category-row ${list.archivedAt ? 'archived' : ''}" data-list-id="${list._id}">
+                <input type="color" class="list-color" value="${escapeHtml(list.color)}" aria-label="Color">
+                <input type="text" class="edit-input list-name" value="${escapeHtml(list.name)}" maxlength="60" aria-label="Name">
+                <button class="checklist-icon-btn" data-list-action="up" title="Move up" ${index === 0 ? 'disabled' : ''}><i class="fas fa-arrow-up"></i></button>
+                <button class="checklist-icon-btn" data-list-action="down" title="Move down" ${index === this.lists.length - 1 ? 'disabled' : ''}><i class="fas fa-arrow-down"></i></button>
+                <button class="action-btn" data-list-action="save" title="Save"><i class="fas fa-check"></i></button>
+                <button class="action-btn" data-list-action="columns" title="Board columns"><i class="fas fa-table-columns"></i></button>
+                <button class="action-btn" data-list-action="archive" title="${list.archivedAt ? 'Restore' : 'Archive'}"><i class="fas ${list.archivedAt ? 'fa-box-open' : 'fa-box-archive'}"></i></button>
+                <button class="action-btn" data-list-action="delete" title="Delete"><i class="fas fa-trash"></i></button>
+            </div>
+            ${this.statusDraft && this.statusDraft.listId === list._id ? this.createStatusEditorHTML() : ''}
+        `).join('') || '<p class="category-hint">No lists yet. Everything is in your Inbox.</p>';
+    }
+
+    async sendListRequest(method, path, body) {
+        const res = await authFetch(`/api/lists${path}`, {
+            method,
+            body: body ? JSON.stringify(body) : undefined
+        });
+        const data = await res.json();
+        if (!res.ok || !data.success) {
+            this.showNotification(data.error || 'Could not update lists', 'error');
+            return null;
+        }
+        return data;
+    }
+
+    async addList() {
+        const name = this.newListName.value.trim();
+        if (!name) return;
+        const data = await this.sendListRequest('POST', '', { name, color: this.newListColor.value });
+        if (!data) return;
+        this.newListName.value = '';
+        await this.loadLists();
+        this.switchList(data.list._id);
+    }
+
+    async handleListAction(e) {
+        const statusButton = e.target.closest('[data-status-action]');
+        if (statusButton) {
+            await this.handleStatusAction(statusButton);
+            return;
+        }
+        const button = e.target.closest('[data-list-action]');
+        if (!button) return;
+        const row = button.closest('.category-row');
+        const id = row.getAttribute('data-list-id');
+        const list = this.lists.find(l => l._id === id);
+        const action = button.dataset.listAction;
+
+        if (action === 'columns') {
+            const open = this.statusDraft && this.statusDraft.listId === id;
+            this.statusDraft = open ? null : { listId: id, statuses: this.statusesFor(id).map(s => ({ ...s })) };
+            this.renderListsManager();
+            return;
+        }
+        if (action === 'up' || action === 'down') {
+            const ids = this.lists.map(l => l._id);
+            const from = ids.indexOf(id);
+            const to = from + (action === 'up' ? -1 : 1);
+            if (to < 0 || to >= ids.length) return;
+            ids.splice(to, 0, ids.splice(from, 1)[0]);
+            if (!(await this.sendListRequest('PUT', '/order', { listIds: ids }))) return;
+        } else if (action === 'save') {
+            if (!(await this.sendListRequest('PUT', `/${id}`, {
+                name: row.querySelector('.list-name').value,
+                color: row.querySelector('.list-color').value
+            }))) return;
+        } else if (action === 'archive') {
+            if (!(await this.sendListRequest('PUT', `/${id}`, { archived: !list.archivedAt }))) return;
+        } else if (action === 'delete') {
+            if (!confirm(`Delete the list "${list.name}"? Its tasks will move to your Inbox.`)) return;
+            if (!(await this.sendListRequest('DELETE', `/${id}`))) return;
+            this.tasks = this.tasks.map(t => t.listId === id ? { ...t, listId: null } : t);
+        }
+        await this.loadLists();
+        this.renderTasks();
+    }
+
+    // --- Workflow statuses and board view ---
+    statusesFor(listId) {
+        const list = listId && this.lists.find(l => l._id === listId);
+        return list && list.statuses && list.statuses.length ? list.statuses : this.inboxStatuses;
+    }
+
+    // The column a task sits in; tasks whose status isn't one of the columns fall back by completion
+    statusOf(task, statuses) {
+        const status = statuses.find(s => s.key === task.status);
+        if (status && status.done === !!task.completed) return status;
+        return statuses.find(s => s.done === !!task.completed) || statuses[0];
+    }
+
+    setView(view) {
+        this.view = view;
+        localStorage.setItem('taskView', view);
+        if (this.listViewBtn) this.listViewBtn.classList.toggle('active', view === 'list');
+        if (this.boardViewBtn) this.boardViewBtn.classList.toggle('active', view === 'board');
+        this.refreshTasks(); // the board loads every matching task, the list a page at a time
+    }
+
+    renderBoard(tasks) {
+        const listId = this.currentListId && this.currentListId !== 'inbox' ? this.currentListId : null;
+        const statuses = this.statusesFor(listId);
+        this.boardView.innerHTML = statuses.map(status => {
+            // In "All tasks", tasks from lists with other columns land in the matching open/done column
+            const cards = tasks.filter(t => this.statusOf(t, statuses).key === status.key);
+            return `
+                <div class="board-column" data-status="${escapeHtml(status.key)}">
+                    <div class="board-column-header">
+                        <span>${escapeHtml(status.name)}</span>
+                        <span class="board-count">${cards.length}</span>
+                    </div>
+                    <div class="board-cards">
+                        ${cards.map(task => `
+                            <div class="board-card ${task.completed ? 'completed' : ''} ${this.isBlocked(task) ? 'blocked' : ''}" draggable="true" data-id="${task._id}">
+                                <div class="board-card-text">${escapeHtml(task.text)}</div>
+                                <div class="task-meta">
+                                    <span class="task-priority ${task.priority}">${task.priority}</span>
+                                    ${this.isBlocked(task) ? '<span class="task-blocked"><i class="fas fa-lock"></i></span>' : ''}
+                                    ${this.createTimeBadge(task)}
+                                    ${!listId && task.listId ? `<span class="task-date">${escapeHtml(this.listName(task.listId))}</span>` : ''}
+                                </div>
+                            </div>`).join('')}
+                    </div>
+                </div>`;
+        }).join('');
+    }
+
+    bindBoardEvents() {
+        if (!this.boardView) return;
+        this.boardView.addEventListener('dragstart', (e) => {
+            const card = e.target.closest('.board-card');
+            if (!card) return;
+            e.dataTransfer.setData('text/plain', card.dataset.id);
+            e.dataTransfer.effectAllowed = 'move';
+            card.classList.add('dragging');
+        });
+        this.boardView.addEventListener('dragend', (e) => {
+            const card = e.target.closest('.board-card');
+            if (card) card.classList.remove('dragging');
+        });
+        this.boardView.addEventListener('dragover', (e) => {
+            const column = e.target.closest('.board-column');
+            if (!column) return;
+            e.preventDefault();
+            this.boardView.querySelectorAll('.board-column.drag-over').forEach(c => c !== column && c.classList.remove('drag-over'));
+            column.classList.add('drag-over');
+        });
+        this.boardView.addEventListener('dragleave', (e) => {
+            const column = e.target.closest('.board-column');
+            if (column && !column.contains(e.relatedTarget)) column.classList.remove('drag-over');
+        });
+        this.boardView.addEventListener('drop', (e) => {
+            const column = e.target.closest('.board-column');
+            if (!column) return;
+            e.preventDefault();
+            column.classList.remove('drag-over');
+            this.setTaskStatus(e.dataTransfer.getData('text/plain'), column.dataset.status);
+        });
+        this.boardView.addEventListener('click', (e) => {
+            const card = e.target.closest('.board-card');
+            if (card) this.editTask(card.dataset.id);
+        });
+    }
+
+    async setTaskStatus(id, statusKey) {
+        const task = this.tasks.find(t => t._id === id);
+        if (!task || task.status === statusKey) return;
+        const res = await authFetch(`/api/tasks/${id}`, {
+            method: 'PUT',
+            body: JSON.stringify({ status: statusKey })
+        });
+        const data = await res.json();
+        if (!res.ok) {
+            this.showNotification(data.error || 'Could not move the task', 'error');
+            return;
+        }
+        this.applyTaskUpdate(id, data);
+        this.renderTasks();
+        this.updateStats();
+    }
+
+    // Column editor inside the lists modal; the draft is read back from the inputs before each change
+    readStatusDraft() {
+        if (!this.statusDraft || !this.listsList) return;
+        const rows = this.listsList.querySelectorAll('.status-row');
+        this.statusDraft.statuses = Array.from(rows).map(row => ({
+            key: row.dataset.key || undefined,
+            name: row.querySelector('.status-name').value,
+            done: row.querySelector('.status-done').checked
+        }));
+    }
+
+    createStatusEditorHTML() {
+        const rows = this.statusDraft.statuses.map((status, index) => `
+            <div class="status-row" data-key="${escapeHtml(status.key || '')}" data-index="${index}">
+                <input type="text" class="edit-input status-name" value="${escapeHtml(status.name)}" maxlength="30" aria-label="Column name">
+                <label class="status-done-label"><input type="checkbox" class="status-done" ${status.done ? 'checked' : ''}> Done</label>
+                <button class="checklist-icon-btn" data-status-action="remove" title="Remove column"><i class="fas fa-times"></i></button>
+            </div>`).join('');
+        return `
+            <div class="status-editor">
+                ${rows}
+                <div class="status-editor-actions">
+                    <button class="cancel-btn" data-status-action="add">Add column</button>
+                    <button class="save-btn" data-status-action="save">Save columns</button>
+                </div>
+            </div>`;
+    }
+
+    async handleStatusAction(button) {
+        this.readStatusDraft();
+        const action = button.dataset.statusAction;
+        if (action === 'add') {
+            this.statusDraft.statuses.push({ name: 'New column', done: false });
+        } else if (action === 'remove') {
+            this.statusDraft.statuses.splice(Number(button.closest('.status-row').dataset.index), 1);
+        } else if (action === 'save') {
+            const saved = await this.sendListRequest('PUT', `/${this.statusDraft.listId}`, { statuses: this.statusDraft.statuses });
+            if (!saved) return;
+            this.statusDraft = null;
+            await this.loadLists();
+            await this.loadTasks(); // tasks in removed columns were moved by the server
+            return;
+        }
+        this.renderListsManager();
+    }
+
+    // --- Per-list completion (analytics) ---
+    updateListStats() {
+        const statsEl = document.getElementById('listStats');
+        if (!statsEl) return;
+        const counts = this.taskStats ? this.taskStats.byList : null;
+        const rows = [{ _id: null, name: 'Inbox', color: '#a0aec0' }, ...this.activeLists()].map(list => {
+            if (counts) {
+                const count = counts[list._id || 'inbox'] || { total: 0, completed: 0 };
+                return { list, done: count.completed, total: count.total };
+            }
+            const tasks = this.tasks.filter(t => (t.listId || null) === list._id);
+            const done = tasks.filter(t => t.completed).length;
+            return { list, done, total: tasks.length };
+        }).filter(row => row.total > 0 || row.list._id);
+        statsEl.innerHTML = rows.map(({ list, done, total }) => {
+            const percent = total ? Math.round((done / total) * 100) : 0;
+            return `<div class="category-stat list-stat">
+                <span class="category-name"><span class="list-dot" style="background:${escapeHtml(list.color)}"></span>${escapeHtml(list.name)}</span>
+                <span class="category-count">${done}/${total} · ${percent}%</span>
+                <div class="list-progress"><div class="list-progress-fill" style="width:${percent}%;background:${escapeHtml(list.color)}"></div></div>
+            </div>`;
+        }).join('');
+    }
+
+    // --- Quick add ---
+    // The server reads the due date, priority, #category and #tags, reminder and repeat out of the typed
+    // text; the preview under the input shows what it found before the task is saved.
+    async parseQuickAdd(text) {
+        if (this.quickAdd && this.quickAdd.input === text) return this.quickAdd.parsed;
+        try {
+            const res = await authFetch('/api/tasks/parse', {
+                method: 'POST',
+                body: JSON.stringify({ text, timeZone: Intl.DateTimeFormat().resolvedOptions().timeZone })
+            });
+            if (!res.ok) return null;
+            const parsed = await res.json();
+            this.quickAdd = { input: text, parsed };
+            return parsed;
+        } catch (error) {
+            console.error('Error parsing quick add:', error);
+            return null;
+        }
+    }
+
+    scheduleQuickAddPreview() {
+        clearTimeout(this.quickAddTimer);
+        const text = this.taskInput.value.trim();
+        if (!text || !this.token) {
+            this.renderQuickAddPreview(null);
+            return;
+        }
+        this.quickAddTimer = setTimeout(async () => {
+            const parsed = await this.parseQuickAdd(text);
+            if (this.taskInput.value.trim() === text) this.renderQuickAddPreview(parsed);
+        }, 250);
+    }
+
+    renderQuickAddPreview(parsed) {
+        if (!this.quickAddPreview) return;
+        const chips = [];
+        if (parsed) {
+            if (parsed.dueDate) {
+                const format = parsed.hasTime
+                    ? { weekday: 'short', month: 'short', day: 'numeric', hour: 'numeric', minute: '2-digit' }
+                    : { weekday: 'short', month: 'short', day: 'numeric' };
+                chips.push(`<span class="quick-chip"><i class="fas fa-calendar"></i> ${escapeHtml(new Date(parsed.dueDate).toLocaleString([], format))}</span>`);
+            }
+            if (parsed.priority) chips.push(`<span class="task-priority ${parsed.priority}">${parsed.priority}</span>`);
+            if (parsed.category) chips.push(`<span class="quick-chip"><i class="fas fa-folder"></i> ${escapeHtml(this.categoryLabel(parsed.category))}</span>`);
+            parsed.tags.forEach(tag => chips.push(`<span class="task-tag">#${escapeHtml(tag)}</span>`));
+            if (parsed.reminderOffsetMinutes) {
+                chips.push(`<span class="quick-chip"><i class="fas fa-bell"></i> ${formatDuration(parsed.reminderOffsetMinutes * 60000)} before</span>`);
+            }
+            if (parsed.recurrence) chips.push(`<span class="task-repeat"><i class="fas fa-redo"></i> ${describeRecurrence(parsed.recurrence)}</span>`);
+            parsed.warnings.forEach(warning => chips.push(`<span class="quick-chip warning"><i class="fas fa-exclamation-triangle"></i> ${escapeHtml(warning)}</span>`));
+        }
+        if (!chips.length) {
+            this.quickAddPreview.style.display = 'none';
+            this.quickAddPreview.innerHTML = '';
+            return;
+        }
+        this.quickAddPreview.innerHTML = `<span class="quick-add-text">${escapeHtml(parsed.text || '(no title yet)')}</span>${chips.join('')}`;
+        this.quickAddPreview.style.display = '';
+    }
+
+    // --- Time tracking ---
+    // The server keeps at most one running timer per user and tells every open tab when it changes.
+    // Task totals from the server cover finished entries only; the running timer is added live.
+    async loadTimer() {
+        if (!this.token) return;
+        try {
+            const res = await authFetch('/api/time/timer');
+            if (!res.ok) return;
+            const data = await res.json();
+            this.setTimer(data.timer);
+        } catch (error) {
+            console.error('Error loading timer:', error);
+        }
+    }
+
+    setTimer(timer) {
+        this.timer = timer ? { ...timer, taskId: String(timer.taskId) } : null;
+        clearInterval(this.timerTick);
+        this.timerTick = this.timer ? setInterval(() => this.tickTimer(), 1000) : null;
+        this.tickTimer();
+        this.renderTasks();
+    }
+
+    runningMs() {
+        return this.timer ? Date.now() - new Date(this.timer.startedAt).getTime() : 0;
+    }
+
+    trackedMs(task) {
+        const running = this.timer && this.timer.taskId === task._id ? this.runningMs() : 0;
+        return (task.timeSpentMs || 0) + running;
+    }
+
+    createTimeBadge(task) {
+        const running = !!this.timer && this.timer.taskId === task._id;
+        const trackedMs = this.trackedMs(task);
+        if (!trackedMs && !running) return '';
+        return `<span class="task-time ${running ? 'running' : ''}" title="Time tracked"><i class="fas fa-stopwatch"></i> <span class="task-time-value">${formatDuration(trackedMs)}</span></span>`;
+    }
+
+    tickTimer() {
+        if (this.activeTimerBar) {
+            this.activeTimerBar.style.display = this.timer ? '' : 'none';
+        }
+        if (!this.timer) return;
+        const task = this.tasks.find(t => t._id === this.timer.taskId);
+        if (this.activeTimerTask) this.activeTimerTask.textContent = task ? task.text : this.timer.taskText;
+        if (this.activeTimerElapsed) this.activeTimerElapsed.textContent = formatClock(this.runningMs());
+        if (task) {
+            document.querySelectorAll(`[data-id="${task._id}"] .task-time-value`).forEach(el => {
+                el.textContent = formatDuration(this.trackedMs(task));
+            });
+        }
+    }
+
+    toggleTimer(id) {
+        return this.timer && this.timer.taskId === id ? this.stopTimer() : this.startTimer(id);
+    }
+
+    async startTimer(id) {
+        const res = await authFetch('/api/time/timer/start', {
+            method: 'POST',
+            body: JSON.stringify({ taskId: id })
+        });
+        const data = await res.json();
+        if (!res.ok) {
+            this.showNotification(data.error || 'Could not start the timer', 'error');
+            return;
+        }
+        this.setTimer(data.timer);
+        if (data.stopped) this.refreshTaskTime([String(data.stopped.taskId)]);
+    }
+
+    async stopTimer() {
+        const res = await authFetch('/api/time/timer/stop', { method: 'POST' });
+        const data = await res.json();
+        if (!res.ok) {
+            this.showNotification(data.error || 'Could not stop the timer', 'error');
+            return;
+        }
+        this.setTimer(null);
+        if (data.stopped) this.refreshTaskTime([String(data.stopped.taskId)]);
+    }
+
+    // Another tab (or this one) started, stopped or edited time
+    onTimeTracking({ timer, taskIds }) {
+        const current = this.timer ? `${this.timer.taskId}@${this.timer.startedAt}` : '';
+        const next = timer ? `${timer.taskId}@${timer.startedAt}` : '';
+        if (current !== next) this.setTimer(timer);
+        if (taskIds && taskIds.length) this.refreshTaskTime(taskIds);
+    }
+
+    // Reloads the totals (and, if open in the edit modal, the entries) of the given tasks
+    async refreshTaskTime(taskIds) {
+        for (const id of taskIds) {
+            const res = await authFetch(`/api/tasks/${id}/time`);
+            if (!res.ok) continue;
+            const data = await res.json();
+            const task = this.tasks.find(t => t._id === id);
+            if (task) task.timeSpentMs = data.totalMs;
+            if (this.editingTaskId === id) this.renderTimeEntries(data);
+        }
+        this.renderTasks();
+        this.loadTimeReport();
+    }
+
+    async loadTimeEntries(id) {
+        this.renderTimeEntries(null);
+        const res = await authFetch(`/api/tasks/${id}/time`);
+        if (!res.ok || this.editingTaskId !== id) return;
+        this.renderTimeEntries(await res.json());
+    }
+
+    renderTimeEntries(data) {
+        if (!this.editTimeEntriesList) return;
+        const task = this.tasks.find(t => t._id === this.editingTaskId);
+        if (data && task) task.timeSpentMs = data.totalMs;
+        if (this.editTimeTotal) this.editTimeTotal.textContent = formatDuration(task ? this.trackedMs(task) : 0);
+        if (!data) {
+            this.editTimeEntriesList.innerHTML = '<li class="attachment-empty">Loading...</li>';
+            return;
+        }
+        this.editTimeEntriesList.innerHTML = data.entries.length
+            ? data.entries.map(entry => `
+                <li class="attachment-item time-entry" data-entry-id="${entry._id}">
+                    <i class="fas ${entry.source === 'manual' ? 'fa-pen' : 'fa-stopwatch'}"></i>
+                    <span class="time-entry-when">${new Date(entry.start).toLocaleString([], { dateStyle: 'medium', timeStyle: 'short' })}</span>
+                    <span class="attachment-size">${formatDuration(new Date(entry.end) - new Date(entry.start))}</span>
+                    <span class="time-entry-note">${escapeHtml(entry.note || '')}</span>
+                    <button type="button" class="checklist-icon-btn" data-time-action="delete" title="Remove"><i class="fas fa-times"></i></button>
+                </li>`).join('')
+            : '<li class="attachment-empty">No time tracked yet.</li>';
+    }
+
+    // Manual entry: minutes spent, starting at the chosen time (or ending now)
+    async addTimeEntry() {
+        const id = this.editingTaskId;
+        if (!id) return;
+        const minutes = Number(this.timeEntryMinutes.value);
+        if (!minutes || minutes <= 0) {
+            this.showNotification('Enter how many minutes you spent', 'warning');
+            return;
+        }
+        const start = this.timeEntryStart.value
+            ? new Date(this.timeEntryStart.value)
+            : new Date(Date.now() - minutes * 60000);
+        const res = await authFetch(`/api/tasks/${id}/time`, {
+            method: 'POST',
+            body: JSON.stringify({ start: start.toISOString(), minutes, note: this.timeEntryNote.value })
+        });
+        const data = await res.json();
+        if (!res.ok) {
+            this.showNotification(data.error || 'Could not add the time', 'error');
+            return;
+        }
+        this.timeEntryStart.value = '';
+        this.timeEntryMinutes.value = '';
+        this.timeEntryNote.value = '';
+        this.refreshTaskTime([id]);
+    }
+
+    async handleTimeEntryAction(e) {
+        const button = e.target.closest('[data-time-action="delete"]');
+        if (!button || !this.editingTaskId) return;
+        if (!confirm('Remove this time entry?')) return;
+        const entryId = button.closest('.time-entry').getAttribute('data-entry-id');
+        const res = await authFetch(`/api/time/${entryId}`, { method: 'DELETE' });
+        const data = await res.json();
+        if (!res.ok) {
+            this.showNotification(data.error || 'Could not remove the entry', 'error');
+            return;
+        }
+        this.refreshTaskTime([this.editingTaskId]);
+    }
+
+    // Report range in the browser's own days and time zone
+    timeReportQuery(format) {
+        const days = Number(this.timeReportRange && this.timeReportRange.value) || 7;
+        const localDay = d => `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`;
+        const from = new Date();
+        from.setDate(from.getDate() - (days - 1));
+        const params = new URLSearchParams({
+            from: localDay(from),
+            to: localDay(new Date()),
+            groupBy: this.timeReportGroup ? this.timeReportGroup.value : 'day',
+            tz: Intl.DateTimeFormat().resolvedOptions().timeZone
+        });
+        if (format) params.set('format', format);
+        return params.toString();
+    }
+
+    async loadTimeReport() {
+        if (!this.timeReportEl || !this.token) return;
+        try {
+            const res = await authFetch(`/api/time/report?${this.timeReportQuery()}`);
+            const data = await res.json();
+            if (!res.ok) {
+                this.timeReportEl.innerHTML = `<div class="time-report-empty">${escapeHtml(data.error || 'Could not load the report')}</div>`;
+                return;
+            }
+            this.renderTimeReport(data);
+        } catch (error) {
+            console.error('Error loading time report:', error);
+        }
+    }
+
+    renderTimeReport(report) {
+        if (!report.totalMs) {
+            this.timeReportEl.innerHTML = '<div class="time-report-empty">No time tracked in this period.</div>';
+            return;
+        }
+        const max = Math.max(...report.periods.map(p => p.totalMs));
+        const label = period => {
+            const date = new Date(`${period}T00:00`);
+            return report.groupBy === 'week'
+                ? `Wk ${date.toLocaleDateString([], { month: 'short', day: 'numeric' })}`
+                : date.toLocaleDateString([], { weekday: 'short', day: 'numeric' });
+        };
+        const bars = report.periods.map(p => `
+            <div class="time-bar-row">
+                <span class="time-bar-label">${label(p.period)}</span>
+                <div class="time-bar"><div class="time-bar-fill" style="width:${Math.max(2, Math.round((p.totalMs / max) * 100))}%"></div></div>
+                <span class="time-bar-value">${formatDuration(p.totalMs)}</span>
+            </div>`).join('');
+        const breakdown = (title, rows) => `
+            <div class="time-breakdown">
+                <h4>${title}</h4>
+                ${rows.slice(0, 5).map(row => `<div class="category-stat">
+                    <span class="category-name"><span class="list-dot" style="background:${escapeHtml(row.color)}"></span>${escapeHtml(row.name)}</span>
+                    <span class="category-count">${formatDuration(row.totalMs)}</span>
+                </div>`).join('')}
+            </div>`;
+        this.timeReportEl.innerHTML = `<div class="time-report-total">${formatDuration(report.totalMs)}</div>
+            ${bars}${breakdown('Lists', report.byList)}${breakdown('Categories', report.byCategory)}`;
+    }
+
+    async exportTimeReport() {
+        const res = await authFetch(`/api/time/report?${this.timeReportQuery('csv')}`);
+        if (!res.ok) {
+            this.showNotification('Could not export the time report', 'error');
+            return;
+        }
+        const match = /filename="([^"]+)"/.exec(res.headers.get('Content-Disposition') || '');
+        const blobUrl = URL.createObjectURL(await res.blob());
+        const link = document.createElement('a');
+        link.href = blobUrl;
+        link.download = match ? match[1] : 'planello-time.csv';
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(blobUrl), 1000);
+    }
+
+    // --- Dependencies ---
+    // A task is blocked while any task it depends on is still open. Blockers that aren't loaded
+    // locally fall back to what the server reported.
+    isBlocked(task) {
+        if (task.completed || task.skipped) return false;
+        return (task.blockedBy || []).some(id => {
+            const blocker = this.tasks.find(t => t._id === id);
+            return blocker ? !blocker.completed && !blocker.skipped : !!task.blocked;
+        });
+    }
+
+    renderBlockedByOptions(task) {
+        if (!this.editBlockedBySelect) return;
+        const selected = new Set(task.blockedBy || []);
+        const candidates = this.tasks.filter(t => t._id !== task._id && (selected.has(t._id) || (!t.completed && !t.skipped)));
+        this.editBlockedBySelect.innerHTML = candidates.map(t =>
+            `<option value="${t._id}" ${selected.has(t._id) ? 'selected' : ''}>${escapeHtml(t.text)}</option>`).join('');
+    }
+
+    // Saves the edit modal's "blocked by" choice if it changed; false if the server refused it
+    async saveDependencies(id) {
+        if (!this.editBlockedBySelect) return true;
+        const task = this.tasks.find(t => t._id === id);
+        const blockedBy = Array.from(this.editBlockedBySelect.selectedOptions).map(option => option.value);
+        const current = (task && task.blockedBy) || [];
+        if (blockedBy.length === current.length && blockedBy.every(b => current.includes(b))) return true;
+
+        const res = await authFetch(`/api/tasks/${id}/dependencies`, {
+            method: 'PUT',
+            body: JSON.stringify({ blockedBy })
+        });
+        const data = await res.json();
+        if (!res.ok) {
+            this.showNotification(data.error || 'Could not save dependencies', 'error');
+            this.renderTasks();
+            return false;
+        }
+        this.applyTaskUpdate(id, data);
+        return true;
+    }
+
+    // --- Notes and attachments (edit modal) ---
+    showNotesTab(mode) {
+        const preview = mode === 'preview';
+        if (preview) {
+            this.editNotesPreview.innerHTML = renderMarkdown(this.editNotesInput.value) || '<p class="notes-empty">No notes yet.</p>';
+        }
+        this.editNotesInput.style.display = preview ? 'none' : '';
+        this.editNotesPreview.style.display = preview ? '' : 'none';
+        this.notesWriteTab.classList.toggle('active', !preview);
+        this.notesPreviewTab.classList.toggle('active', preview);
+    }
+
+    renderAttachmentList(task) {
+        if (!this.editAttachmentsList) return;
+        const attachments = (task && task.attachments) || [];
+        this.editAttachmentsList.innerHTML = attachments.length
+            ? attachments.map(a => `
+                <li class="attachment-item" data-attachment-id="${a._id}">
+                    <i class="fas ${(a.mimeType || '').startsWith('image/') ? 'fa-file-image' : 'fa-file'}"></i>
+                    <button type="button" class="attachment-name" data-attachment-action="download" title="Download">${escapeHtml(a.originalName)}</button>
+                    <span class="attachment-size">${formatBytes(a.size)}</span>
+                    <button type="button" class="checklist-icon-btn" data-attachment-action="delete" title="Remove"><i class="fas fa-times"></i></button>
+                </li>`).join('')
+            : '<li class="attachment-empty">No files attached.</li>';
+    }
+
+    async uploadAttachment(file) {
+        const id = this.editingTaskId;
+        if (!id || !file) return;
+        const form = new FormData();
+        form.append('file', file);
+        this.showNotification(`Uploading ${file.name}...`, 'info');
+        const res = await authFetch(`/api/tasks/${id}/attachments`, { method: 'POST', body: form });
+        const data = await res.json().catch(() => ({}));
+        if (!res.ok) {
+            this.showNotification(data.error || 'Upload failed', 'error');
+            return;
+        }
+        this.applyTaskUpdate(id, data);
+        this.renderAttachmentList(data);
+        this.renderTasks();
+        this.showNotification('File attached', 'success');
+    }
+
+    async handleAttachmentAction(e) {
+        const button = e.target.closest('[data-attachment-action]');
+        if (!button || !this.editingTaskId) return;
+        const id = this.editingTaskId;
+        const attachmentId = button.closest('.attachment-item').getAttribute('data-attachment-id');
+        const url = `/api/tasks/${id}/attachments/${attachmentId}`;
+
+        if (button.dataset.attachmentAction === 'download') {
+            // Fetched with the auth header, then handed to the browser as a local blob
+            const res = await authFetch(url);
+            if (!res.ok) {
+                this.showNotification('Could not download the file', 'error');
+                return;
+            }
+            const blobUrl = URL.createObjectURL(await res.blob());
+            const link = document.createElement('a');
+            link.href = blobUrl;
+            link.download = button.textContent;
+            document.body.appendChild(link);
+            link.click();
+            link.remove();
+            setTimeout(() => URL.revokeObjectURL(blobUrl), 1000);
+            return;
+        }
+
+        if (!confirm(`Remove ${button.closest('.attachment-item').querySelector('.attachment-name').textContent}?`)) return;
+        const res = await authFetch(url, { method: 'DELETE' });
+        const data = await res.json();
+        if (!res.ok) {
+            this.showNotification(data.error || 'Could not remove the file', 'error');
+            return;
+        }
+        this.applyTaskUpdate(id, data);
+        this.renderAttachmentList(data);
+        this.renderTasks();
+    }
+
+    async addTask(text, priority = 'medium', reminderTime = null, repeat = '') {
+        if (!this.token) {
             this.showNotification('Please log in to add tasks', 'error');
             return;
         }
@@ -144,25 +1545,58 @@ class TaskManager {
             return;
         }
 
+        // Anything typed into the text ("tomorrow 5pm !high #work") wins over the separate controls
+        const parsed = await this.parseQuickAdd(text.trim()) || {};
+        if (parsed.text === '') {
+            this.showNotification('Add a few words describing the task', 'error');
+            return;
+        }
+        if (parsed.priority) priority = parsed.priority;
+
         // Prepare the task data
         const taskData = {
-            phone: this.phone,
-            text: text.trim(),
+            text: parsed.text || text.trim(),
             priority: ['low', 'medium', 'high'].includes(priority) ? priority : 'medium'
         };
 
         // Add due date if provided
-        if (reminderTime) {
+        if (parsed.dueDate) {
+            taskData.dueDate = parsed.dueDate;
+            if (parsed.reminderOffsetMinutes) taskData.reminderOffsetMinutes = parsed.reminderOffsetMinutes;
+        } else if (reminderTime) {
             taskData.dueDate = new Date(reminderTime).toISOString();
             console.log('Setting due date:', taskData.dueDate);
         }
 
+        if (parsed.category) {
+            taskData.category = parsed.category;
+        } else if (this.categorySelect && this.categorySelect.value) {
+            taskData.category = this.categorySelect.value;
+        }
+        // New tasks go into the list being viewed
+        if (this.currentListId && this.currentListId !== 'inbox') {
+            taskData.listId = this.currentListId;
+        }
+        const tags = [this.tagsInput ? this.tagsInput.value.trim() : '', ...(parsed.tags || [])].filter(Boolean);
+        if (tags.length) {
+            taskData.tags = tags.join(',');
+        }
+
+        const recurrence = parsed.recurrence || REPEAT_PRESETS[repeat];
+        if (recurrence) {
+            if (!taskData.dueDate) {
+                this.showNotification('Pick a due date for a repeating task', 'error');
+                return;
+            }
+            // The server counts the rule's days on this device's calendar
+            taskData.recurrence = { ...recurrence, timeZone: Intl.DateTimeFormat().resolvedOptions().timeZone };
+        }
+
         try {
             console.log('Sending task data:', taskData); // Debug log
 
-            const res = await fetch('/api/tasks', {
+            const res = await authFetch('/api/tasks', {
                 method: 'POST',
-                headers: { 'Content-Type': 'application/json' },
                 body: JSON.stringify(taskData)
             });
 
@@ -185,8 +1619,12 @@ class TaskManager {
 
             // Clear input fields
             if (this.taskInput) this.taskInput.value = '';
+            this.quickAdd = null;
+            this.renderQuickAddPreview(null);
             if (this.prioritySelect) this.prioritySelect.value = 'medium';
             if (this.reminderInput) this.reminderInput.value = '';
+            if (this.repeatSelect) this.repeatSelect.value = '';
+            if (this.tagsInput) this.tagsInput.value = '';
             if (this.taskInput) this.taskInput.focus();
 
         } catch (err) {
@@ -196,30 +1634,162 @@ class TaskManager {
     }
 
     async completeTask(id) {
-        const res = await fetch(`/api/tasks/${id}`, {
+        const res = await authFetch(`/api/tasks/${id}`, {
             method: 'PUT',
-            headers: { 'Content-Type': 'application/json' },
             body: JSON.stringify({ completed: true })
         });
         const updatedTask = await res.json();
-        this.tasks = this.tasks.map(t => t._id === id ? updatedTask : t);
+        this.applyTaskUpdate(id, updatedTask);
+        this.renderTasks();
+        this.updateStats();
+    }
+
+    async skipOccurrence(id) {
+        const res = await authFetch(`/api/tasks/${id}/skip`, { method: 'POST' });
+        const data = await res.json();
+        if (!res.ok) {
+            this.showNotification(data.error || 'Could not skip this occurrence', 'error');
+            return;
+        }
+        this.applyTaskUpdate(id, data);
+        this.renderTasks();
+        this.updateStats();
+        this.showNotification(data.nextOccurrence ? 'Skipped. Next one is on the list.' : 'Skipped. That was the last one.', 'success');
+    }
+
+    toggleChecklistPanel(id) {
+        if (this.openChecklists.has(id)) {
+            this.openChecklists.delete(id);
+        } else {
+            this.openChecklists.add(id);
+        }
+        this.renderTasks();
+    }
+
+    // Sends a checklist change and applies the returned task (which may have auto-completed)
+    async updateChecklist(id, path, method, body) {
+        const res = await authFetch(`/api/tasks/${id}/checklist${path}`, {
+            method,
+            body: body ? JSON.stringify(body) : undefined
+        });
+        const data = await res.json();
+        if (!res.ok) {
+            this.showNotification(data.error || 'Could not update the checklist', 'error');
+            return;
+        }
+        const wasCompleted = (this.tasks.find(t => t._id === id) || {}).completed;
+        this.applyTaskUpdate(id, data);
+        this.renderTasks();
+        this.updateStats();
+        if (data.completed && !wasCompleted) {
+            this.showNotification('All steps done - task completed!', 'success');
+        }
+    }
+
+    addChecklistItem(id, text) {
+        if (!text.trim()) return;
+        this.updateChecklist(id, '', 'POST', { text: text.trim() });
+    }
+
+    toggleChecklistItem(id, itemId) {
+        const task = this.tasks.find(t => t._id === id);
+        const item = task && (task.checklist || []).find(i => i._id === itemId);
+        if (!item) return;
+        this.updateChecklist(id, `/${itemId}`, 'PUT', { completed: !item.completed });
+    }
+
+    deleteChecklistItem(id, itemId) {
+        this.updateChecklist(id, `/${itemId}`, 'DELETE');
+    }
+
+    moveChecklistItem(id, itemId, offset) {
+        const task = this.tasks.find(t => t._id === id);
+        if (!task) return;
+        const itemIds = (task.checklist || []).map(i => i._id);
+        const from = itemIds.indexOf(itemId);
+        const to = from + offset;
+        if (from < 0 || to < 0 || to >= itemIds.length) return;
+        itemIds.splice(to, 0, itemIds.splice(from, 1)[0]);
+        this.updateChecklist(id, '/order', 'PUT', { itemIds });
+    }
+
+    async setChecklistAutoComplete(id, enabled) {
+        const res = await authFetch(`/api/tasks/${id}`, {
+            method: 'PUT',
+            body: JSON.stringify({ autoCompleteChecklist: enabled })
+        });
+        if (!res.ok) return;
+        this.applyTaskUpdate(id, await res.json());
         this.renderTasks();
         this.updateStats();
     }
 
+    // Removes the task from view right away and puts it back if the server refuses
     async deleteTask(id) {
-        await fetch(`/api/tasks/${id}`, { method: 'DELETE' });
-        this.tasks = this.tasks.filter(t => t._id !== id);
+        const task = this.tasks.find(t => t._id === id);
+        const wholeSeries = task && task.recurrence && confirm('Also delete all upcoming occurrences of this repeating task?');
+        const previous = this.tasks;
+        this.tasks = this.tasks.filter(t => t._id !== id &&
+            !(wholeSeries && t.seriesId === task.seriesId && !t.completed && !t.skipped));
         this.renderTasks();
         this.updateStats();
+
+        try {
+            const res = await authFetch(`/api/tasks/${id}${wholeSeries ? '?scope=series' : ''}`, { method: 'DELETE' });
+            const data = await res.json();
+            if (!res.ok) throw new Error(data.error || 'Failed to delete task');
+            this.pushUndo(data.ids);
+        } catch (err) {
+            console.error('Error deleting task:', err);
+            this.tasks = previous;
+            this.renderTasks();
+            this.updateStats();
+            this.showNotification(err.message || 'Failed to delete task', 'error');
+            return;
+        }
+        this.showNotification(wholeSeries ? 'Moved to Trash with its upcoming occurrences' : 'Moved to Trash', 'success');
     }
 
     initializeElements() {
         this.taskInput = document.getElementById('taskInput');
+        this.quickAddPreview = document.getElementById('quickAddPreview');
         this.addBtn = document.getElementById('addTaskBtn');
         this.prioritySelect = document.getElementById('prioritySelect');
         this.reminderInput = document.getElementById('reminderInput'); // new input for reminder time
+        this.repeatSelect = document.getElementById('repeatSelect');
+        this.categorySelect = document.getElementById('categorySelect');
+        this.tagsInput = document.getElementById('tagsInput');
+        this.listTabs = document.getElementById('listTabs');
+        this.boardView = document.getElementById('boardView');
+        this.listViewBtn = document.getElementById('listViewBtn');
+        this.boardViewBtn = document.getElementById('boardViewBtn');
+        this.manageListsBtn = document.getElementById('manageListsBtn');
+        this.listsModal = document.getElementById('listsModal');
+        this.trashModal = document.getElementById('trashModal');
+        this.trashList = document.getElementById('trashList');
+        this.listsList = document.getElementById('listsList');
+        this.newListName = document.getElementById('newListName');
+        this.newListColor = document.getElementById('newListColor');
+        this.editListSelect = document.getElementById('editListSelect');
+        this.categoryFilterSelect = document.getElementById('categoryFilterSelect');
+        this.tagFilterSelect = document.getElementById('tagFilterSelect');
+        this.manageCategoriesBtn = document.getElementById('manageCategoriesBtn');
+        this.categoriesModal = document.getElementById('categoriesModal');
+        this.categoriesList = document.getElementById('categoriesList');
+        this.newCategoryName = document.getElementById('newCategoryName');
+        this.newCategoryColor = document.getElementById('newCategoryColor');
+        this.newCategoryIcon = document.getElementById('newCategoryIcon');
         this.searchInput = document.getElementById('searchInput');
+        this.dueFilterSelect = document.getElementById('dueFilterSelect');
+        this.sortSelect = document.getElementById('sortSelect');
+        this.loadMoreBtn = document.getElementById('loadMoreBtn');
+        this.selectModeBtn = document.getElementById('selectModeBtn');
+        this.bulkBar = document.getElementById('bulkBar');
+        this.bulkCount = document.getElementById('bulkCount');
+        this.bulkPrioritySelect = document.getElementById('bulkPrioritySelect');
+        this.bulkCategorySelect = document.getElementById('bulkCategorySelect');
+        this.bulkListSelect = document.getElementById('bulkListSelect');
+        this.bulkDueInput = document.getElementById('bulkDueInput');
         this.filterBtns = document.querySelectorAll('.filter-btn');
         this.tasksList = document.getElementById('tasksList');
         this.emptyState = document.getElementById('emptyState');
@@ -234,6 +1804,32 @@ class TaskManager {
         this.editModal = document.getElementById('editModal');
         this.editTaskInput = document.getElementById('editTaskInput');
         this.editPrioritySelect = document.getElementById('editPrioritySelect');
+        this.editCategorySelect = document.getElementById('editCategorySelect');
+        this.editTagsInput = document.getElementById('editTagsInput');
+        this.editSeriesRow = document.getElementById('editSeriesRow');
+        this.editBlockedBySelect = document.getElementById('editBlockedBySelect');
+        this.editNotesInput = document.getElementById('editNotesInput');
+        this.editNotesPreview = document.getElementById('editNotesPreview');
+        this.notesWriteTab = document.getElementById('notesWriteTab');
+        this.notesPreviewTab = document.getElementById('notesPreviewTab');
+        this.editAttachmentInput = document.getElementById('editAttachmentInput');
+        this.editAttachmentsList = document.getElementById('editAttachmentsList');
+        this.editSeriesCheckbox = document.getElementById('editSeriesCheckbox');
+        this.editTimeTotal = document.getElementById('editTimeTotal');
+        this.editTimeEntriesList = document.getElementById('editTimeEntriesList');
+        this.timeEntryStart = document.getElementById('timeEntryStart');
+        this.timeEntryMinutes = document.getElementById('timeEntryMinutes');
+        this.timeEntryNote = document.getElementById('timeEntryNote');
+        this.addTimeEntryBtn = document.getElementById('addTimeEntryBtn');
+        // Time tracking
+        this.activeTimerBar = document.getElementById('activeTimerBar');
+        this.activeTimerTask = document.getElementById('activeTimerTask');
+        this.activeTimerElapsed = document.getElementById('activeTimerElapsed');
+        this.stopTimerBtn = document.getElementById('stopTimerBtn');
+        this.timeReportEl = document.getElementById('timeReport');
+        this.timeReportRange = document.getElementById('timeReportRange');
+        this.timeReportGroup = document.getElementById('timeReportGroup');
+        this.timeReportCsvBtn = document.getElementById('timeReportCsvBtn');
         this.saveEditBtn = document.getElementById('saveEditBtn');
         this.cancelEditBtn = document.getElementById('cancelEditBtn');
         this.closeModal = document.getElementById('closeModal');
@@ -281,20 +1877,168 @@ class TaskManager {
                 const text = this.taskInput.value.trim();
                 const priority = this.prioritySelect.value;
                 const reminderTime = this.reminderInput ? this.reminderInput.value : null;
-                if (text) this.addTask(text, priority, reminderTime);
+                const repeat = this.repeatSelect ? this.repeatSelect.value : '';
+                if (text) this.addTask(text, priority, reminderTime, repeat);
             });
         }
         if (this.taskInput) {
+            this.taskInput.addEventListener('input', () => this.scheduleQuickAddPreview());
             this.taskInput.addEventListener('keypress', (e) => {
                 if (e.key === 'Enter') {
                     const text = this.taskInput.value.trim();
                     const priority = this.prioritySelect.value;
                     const reminderTime = this.reminderInput ? this.reminderInput.value : null;
-                    if (text) this.addTask(text, priority, reminderTime);
+                    const repeat = this.repeatSelect ? this.repeatSelect.value : '';
+                    if (text) this.addTask(text, priority, reminderTime, repeat);
                 }
             });
         }
 
+        // Notes tabs and attachments in the edit modal
+        if (this.notesWriteTab && this.notesPreviewTab) {
+            this.notesWriteTab.addEventListener('click', () => this.showNotesTab('write'));
+            this.notesPreviewTab.addEventListener('click', () => this.showNotesTab('preview'));
+        }
+        if (this.editAttachmentInput) {
+            this.editAttachmentInput.addEventListener('change', () => {
+                this.uploadAttachment(this.editAttachmentInput.files[0]);
+                this.editAttachmentInput.value = '';
+            });
+        }
+        if (this.editTimeEntriesList) {
+            this.editTimeEntriesList.addEventListener('click', (e) => this.handleTimeEntryAction(e));
+        }
+        if (this.addTimeEntryBtn) {
+            this.addTimeEntryBtn.addEventListener('click', () => this.addTimeEntry());
+        }
+        if (this.stopTimerBtn) {
+            this.stopTimerBtn.addEventListener('click', () => this.stopTimer());
+        }
+        [this.timeReportRange, this.timeReportGroup].forEach(select => {
+            if (select) select.addEventListener('change', () => this.loadTimeReport());
+        });
+        if (this.timeReportCsvBtn) {
+            this.timeReportCsvBtn.addEventListener('click', () => this.exportTimeReport());
+        }
+        if (this.editAttachmentsList) {
+            this.editAttachmentsList.addEventListener('click', (e) => this.handleAttachmentAction(e));
+        }
+
+        // List / board view
+        if (this.listViewBtn && this.boardViewBtn) {
+            this.listViewBtn.addEventListener('click', () => this.setView('list'));
+            this.boardViewBtn.addEventListener('click', () => this.setView('board'));
+            this.listViewBtn.classList.toggle('active', this.view === 'list');
+            this.boardViewBtn.classList.toggle('active', this.view === 'board');
+        }
+        this.bindBoardEvents();
+
+        // List switcher and lists modal
+        if (this.listTabs) {
+            this.listTabs.addEventListener('click', (e) => {
+                const tab = e.target.closest('.list-tab');
+                if (tab) this.switchList(tab.dataset.listId);
+            });
+        }
+        if (this.manageListsBtn && this.listsModal) {
+            this.manageListsBtn.addEventListener('click', () => {
+                this.renderListsManager();
+                this.listsModal.classList.add('show');
+            });
+            document.getElementById('closeListsModal').addEventListener('click', () => this.listsModal.classList.remove('show'));
+            this.listsModal.addEventListener('click', (e) => {
+                if (e.target === this.listsModal) this.listsModal.classList.remove('show');
+            });
+            document.getElementById('addListBtn').addEventListener('click', () => this.addList());
+            this.listsList.addEventListener('click', (e) => this.handleListAction(e));
+        }
+
+        // Trash
+        if (this.trashModal) {
+            document.getElementById('trashBtn').addEventListener('click', () => {
+                this.trashModal.classList.add('show');
+                this.loadTrash();
+            });
+            document.getElementById('closeTrashModal').addEventListener('click', () => this.trashModal.classList.remove('show'));
+            this.trashModal.addEventListener('click', (e) => {
+                if (e.target === this.trashModal) this.trashModal.classList.remove('show');
+            });
+            document.getElementById('emptyTrashBtn').addEventListener('click', () => this.emptyTrash());
+            this.trashList.addEventListener('click', (e) => this.handleTrashAction(e));
+        }
+
+        // Category and tag filters
+        if (this.categoryFilterSelect) {
+            this.categoryFilterSelect.addEventListener('change', () => {
+                this.categoryFilter = this.categoryFilterSelect.value;
+                this.refreshTasks();
+            });
+        }
+        if (this.tagFilterSelect) {
+            this.tagFilterSelect.addEventListener('change', () => this.setTagFilter(this.tagFilterSelect.value));
+        }
+        if (this.dueFilterSelect) {
+            this.dueFilterSelect.addEventListener('change', () => {
+                this.dueFilter = this.dueFilterSelect.value;
+                this.refreshTasks();
+            });
+        }
+        if (this.sortSelect) {
+            this.sortSelect.value = this.sort;
+            if (this.sortSelect.value !== this.sort) this.sort = this.sortSelect.value = 'created';
+            this.sortSelect.addEventListener('change', () => {
+                this.sort = this.sortSelect.value;
+                localStorage.setItem('taskSort', this.sort);
+                this.refreshTasks();
+            });
+        }
+
+        // Multi-select and bulk actions
+        if (this.selectModeBtn && this.bulkBar) {
+            this.selectModeBtn.addEventListener('click', () => this.setSelectMode(!this.selecting));
+            document.getElementById('bulkDoneBtn').addEventListener('click', () => this.setSelectMode(false));
+            document.getElementById('bulkSelectAllBtn').addEventListener('click', () => this.selectAllTasks());
+            this.bulkBar.querySelectorAll('[data-bulk-action]').forEach(btn => {
+                btn.addEventListener('click', () => this.runBulkButton(btn.dataset.bulkAction));
+            });
+            this.bulkPrioritySelect.addEventListener('change', () => {
+                if (this.bulkPrioritySelect.value) this.bulkUpdate('priority', { priority: this.bulkPrioritySelect.value });
+                this.bulkPrioritySelect.value = '';
+            });
+            this.bulkCategorySelect.addEventListener('change', () => {
+                if (this.bulkCategorySelect.value) this.bulkUpdate('category', { category: this.bulkCategorySelect.value });
+                this.bulkCategorySelect.value = '';
+            });
+            this.bulkListSelect.addEventListener('change', () => {
+                if (this.bulkListSelect.value) this.bulkUpdate('move', { listId: this.bulkListSelect.value });
+                this.bulkListSelect.value = '';
+            });
+        }
+
+        // Incremental loading: the next page loads when the button scrolls into view, or on click
+        if (this.loadMoreBtn) {
+            this.loadMoreBtn.addEventListener('click', () => this.loadMoreTasks());
+            if ('IntersectionObserver' in window) {
+                new IntersectionObserver(entries => {
+                    if (entries.some(entry => entry.isIntersecting)) this.loadMoreTasks();
+                }, { rootMargin: '200px' }).observe(this.loadMoreBtn);
+            }
+        }
+
+        // Categories modal
+        if (this.manageCategoriesBtn && this.categoriesModal) {
+            this.manageCategoriesBtn.addEventListener('click', () => {
+                this.renderCategoriesList();
+                this.categoriesModal.classList.add('show');
+            });
+            document.getElementById('closeCategoriesModal').addEventListener('click', () => this.categoriesModal.classList.remove('show'));
+            this.categoriesModal.addEventListener('click', (e) => {
+                if (e.target === this.categoriesModal) this.categoriesModal.classList.remove('show');
+            });
+            document.getElementById('addCategoryBtn').addEventListener('click', () => this.addCategory());
+            this.categoriesList.addEventListener('click', (e) => this.handleCategoryRowAction(e));
+        }
+
         // Filter events
         if (this.filterBtns) {
             this.filterBtns.forEach(btn => {
@@ -332,13 +2076,16 @@ class TaskManager {
 
         // Search input event
         if (this.searchInput) {
+            let searchTimer = null;
             this.searchInput.addEventListener('input', () => {
-                this.renderTasks();
+                clearTimeout(searchTimer);
+                searchTimer = setTimeout(() => this.loadTasks(), 300);
             });
         }
 
         if (this.undoBtn) this.undoBtn.addEventListener('click', () => this.undo());
         if (this.redoBtn) this.redoBtn.addEventListener('click', () => this.redo());
+        this.updateUndoRedoButtons();
 
         // Smart suggestions
         if (this.taskInput && this.suggestionsBox) {
@@ -362,7 +2109,19 @@ class TaskManager {
     }
 
     renderTasks(newTaskId = null) {
+        this.renderTagOptions();
+        this.updateLoadMore();
         const filteredTasks = this.getFilteredTasks();
+        if (this.boardView) {
+            const board = this.view === 'board';
+            this.boardView.style.display = board ? 'flex' : 'none';
+            if (board) {
+                this.tasksList.style.display = 'none';
+                this.emptyState.style.display = 'none';
+                this.renderBoard(filteredTasks);
+                return;
+            }
+        }
         if (filteredTasks.length === 0) {
             this.tasksList.style.display = 'none';
             this.emptyState.style.display = 'block';
@@ -387,27 +2146,96 @@ class TaskManager {
         let filtered = this.tasks;
         // Filter by current filter
         if (this.currentFilter === 'pending') {
-            filtered = filtered.filter(t => !t.completed);
+            filtered = filtered.filter(t => !t.completed && !t.skipped);
         } else if (this.currentFilter === 'completed') {
             filtered = filtered.filter(t => t.completed);
         } else if (this.currentFilter === 'high') {
             filtered = filtered.filter(t => t.priority === 'high');
         }
-        // Filter by search query
-        if (this.searchInput && this.searchInput.value.trim() !== '') {
-            const q = this.searchInput.value.trim().toLowerCase();
-            filtered = filtered.filter(t => t.text.toLowerCase().includes(q));
+        if (this.currentListId === 'inbox') {
+            filtered = filtered.filter(t => !t.listId);
+        } else if (this.currentListId) {
+            filtered = filtered.filter(t => t.listId === this.currentListId);
         }
-        return filtered;
+        if (this.categoryFilter) {
+            filtered = filtered.filter(t => t.category === this.categoryFilter);
+        }
+        if (this.tagFilter) {
+            filtered = filtered.filter(t => (t.tags || []).includes(this.tagFilter));
+        }
+        // Search is left to the server: its text index also matches notes and word forms
+        return this.sortTasks(filtered);
+    }
+
+    // Same order as the server's ?sort, so tasks added or edited locally land where a reload would put them
+    sortTasks(tasks) {
+        const descending = this.sort.startsWith('-');
+        const key = descending ? this.sort.slice(1) : this.sort;
+        const ranks = { high: 1, medium: 2, low: 3 };
+        const value = {
+            created: t => new Date(t.createdAt).getTime(),
+            due: t => t.dueDate ? new Date(t.dueDate).getTime() : (descending ? -Infinity : Infinity),
+            priority: t => ranks[t.priority] || 4,
+            text: t => (t.text || '').toLowerCase()
+        }[key];
+        if (!value) return tasks;
+        return [...tasks].sort((a, b) => {
+            const x = value(a);
+            const y = value(b);
+            const order = x < y ? -1 : x > y ? 1 : (a._id < b._id ? -1 : a._id > b._id ? 1 : 0);
+            return descending ? -order : order;
+        });
     }
 
     createTaskHTML(task) {
         const completedClass = task.completed ? 'completed' : '';
         const checkedClass = task.completed ? 'checked' : '';
-        const date = new Date(task.createdAt).toLocaleDateString();
+        const selected = this.selecting && this.selectedIds.has(task._id);
+        const skippedClass = task.skipped ? 'skipped' : '';
+        const blocked = this.isBlocked(task);
+        const blockerNames = blocked
+            ? (task.blockedBy || []).map(id => this.tasks.find(t => t._id === id)).filter(t => t && !t.completed && !t.skipped).map(t => t.text)
+            : [];
+        const taskStatuses = this.statusesFor(task.listId);
+        const status = this.statusOf(task, taskStatuses);
+        // Only worth showing for the in-between columns; open/done is already visible from the checkbox
+        const statusBadge = !status.done && status.key !== taskStatuses.find(s => !s.done).key
+            ? `<span class="task-status">${escapeHtml(status.name)}</span>`
+            : '';
+        const blockedBadge = blocked
+            ? `<span class="task-blocked" title="${escapeHtml(blockerNames.length ? `Waiting on: ${blockerNames.join(', ')}` : 'Waiting on other tasks')}"><i class="fas fa-lock"></i> Blocked</span>`
+            : '';
+        const date = new Date(task.dueDate || task.createdAt).toLocaleDateString();
+        const repeatLabel = task.recurrence
+            ? `<span class="task-repeat" title="Repeating task"><i class="fas fa-redo"></i> ${describeRecurrence(task.recurrence)}${task.skipped ? ' · skipped' : ''}</span>`
+            : '';
+        const category = this.categoryFor(task.category);
+        const categoryChip = task.category
+            ? `<span class="task-category" style="${category ? `border-left: 4px solid ${escapeHtml(category.color)}` : ''}"><i class="fas fa-${escapeHtml(category ? category.icon : 'tag')}"></i> ${escapeHtml(this.categoryLabel(task.category))}</span>`
+            : '';
+        const tagChips = (task.tags || []).map(tag =>
+            `<span class="task-tag" data-action="filter-tag" data-tag="${escapeHtml(tag)}">#${escapeHtml(tag)}</span>`).join('');
+        const extras = [
+            task.notes ? '<i class="fas fa-sticky-note" title="Has notes"></i>' : '',
+            (task.attachments || []).length ? `<i class="fas fa-paperclip" title="Attachments"></i> ${task.attachments.length}` : ''
+        ].filter(Boolean).join(' ');
+        const extrasBadge = extras ? `<span class="task-extras">${extras}</span>` : '';
+        const running = !!this.timer && this.timer.taskId === task._id;
+        const checklist = task.checklist || [];
+        const checklistDone = checklist.filter(item => item.completed).length;
+        const checklistOpen = this.openChecklists.has(task._id);
+        const checklistBadge = checklist.length
+            ? `<span class="task-checklist-progress ${checklistDone === checklist.length ? 'done' : ''}" data-action="toggle-checklist" title="Show steps"><i class="fas fa-list-check"></i> ${checklistDone}/${checklist.length}</span>`
+            : '';
+        const skipButton = task.recurrence && !task.completed && !task.skipped
+            ? `<button class="action-btn skip-btn" onclick="taskManager.skipOccurrence('${task._id}')" title="Skip this occurrence">
+                        <i class="fas fa-forward"></i>
+                    </button>`
+            : '';
 
         return `
-            <div class="task-item ${completedClass}" data-id="${task._id}">
+            <div class="task-item ${completedClass} ${skippedClass} ${blocked ? 'blocked' : ''} ${selected ? 'selected' : ''}" data-id="${task._id}">
+                ${this.selecting ? `<input type="checkbox" class="task-select" data-action="select-task" ${selected ? 'checked' : ''} aria-label="Select task">` : ''}
                 <div class="task-checkbox ${checkedClass}" onclick="taskManager.toggleTask('${task._id}')">
                     ${task.completed ? '<i class="fas fa-check"></i>' : ''}
                 </div>
@@ -415,10 +2243,29 @@ class TaskManager {
                     <div class="task-text">${escapeHtml(task.text)}</div>
                     <div class="task-meta">
                         <span class="task-priority ${task.priority}">${task.priority}</span>
+                        ${categoryChip}
+                        ${statusBadge}
+                        ${blockedBadge}
                         <span class="task-date">${date}</span>
+                        ${repeatLabel}
+                        ${checklistBadge}
+                        ${this.createTimeBadge(task)}
+                        ${extrasBadge}
+                        ${tagChips}
                     </div>
+                    ${checklistOpen ? this.createChecklistHTML(task) : ''}
                 </div>
                 <div class="task-actions">
+                    <button class="action-btn checklist-btn" data-action="toggle-checklist" title="Steps">
+                        <i class="fas fa-list-check"></i>
+                    </button>
+                    <button class="action-btn timer-btn ${running ? 'running' : ''}" data-action="toggle-timer" title="${running ? 'Stop timer' : 'Start timer'}">
+                        <i class="fas fa-${running ? 'stop' : 'play'}"></i>
+                    </button>
+                    <button class="action-btn pomodoro-task-btn" data-action="start-pomodoro" title="Start a Pomodoro on this task">
+                        <i class="fas fa-hourglass-start"></i>
+                    </button>
+                    ${skipButton}
                     <button class="action-btn edit-btn" onclick="taskManager.editTask(${task._id})" title="Edit task">
                         <i class="fas fa-edit"></i>
                     </button>
@@ -430,11 +2277,87 @@ class TaskManager {
         `;
     }
 
+    createChecklistHTML(task) {
+        const items = task.checklist || [];
+        const rows = items.map((item, index) => `
+            <li class="checklist-item ${item.completed ? 'done' : ''}" data-item-id="${item._id}">
+                <input type="checkbox" data-action="toggle-item" ${item.completed ? 'checked' : ''} aria-label="Step done">
+                <span class="checklist-text">${escapeHtml(item.text)}</span>
+                <button class="checklist-icon-btn" data-action="move-up" title="Move up" ${index === 0 ? 'disabled' : ''}><i class="fas fa-arrow-up"></i></button>
+                <button class="checklist-icon-btn" data-action="move-down" title="Move down" ${index === items.length - 1 ? 'disabled' : ''}><i class="fas fa-arrow-down"></i></button>
+                <button class="checklist-icon-btn" data-action="delete-item" title="Remove step"><i class="fas fa-times"></i></button>
+            </li>`).join('');
+
+        return `
+            <div class="task-checklist">
+                <ol class="checklist-items">${rows}</ol>
+                <div class="checklist-add">
+                    <input type="text" class="checklist-input" placeholder="Add a step" maxlength="500" aria-label="New step">
+                    <button class="checklist-add-btn" data-action="add-item">Add</button>
+                </div>
+                <label class="checklist-auto">
+                    <input type="checkbox" data-action="auto-complete" ${task.autoCompleteChecklist ? 'checked' : ''}>
+                    Complete the task when all steps are done
+                </label>
+            </div>
+        `;
+    }
+
+    // Click/keyboard handling for the checklist controls inside a task item
+    handleChecklistEvent(e) {
+        const control = e.target.closest('[data-action]');
+        const taskItem = e.target.closest('.task-item');
+        if (!control || !taskItem) return false;
+        const id = taskItem.getAttribute('data-id');
+        const row = control.closest('.checklist-item');
+        const itemId = row ? row.getAttribute('data-item-id') : null;
+
+        switch (control.dataset.action) {
+            case 'filter-tag':
+                this.setTagFilter(control.dataset.tag);
+                break;
+            case 'select-task':
+                this.toggleSelected(id, control.checked);
+                break;
+            case 'toggle-checklist':
+                this.toggleChecklistPanel(id);
+                break;
+            case 'toggle-timer':
+                this.toggleTimer(id);
+                break;
+            case 'start-pomodoro':
+                if (window.focusManager) window.focusManager.startPomodoro(id);
+                break;
+            case 'toggle-item':
+                this.toggleChecklistItem(id, itemId);
+                break;
+            case 'move-up':
+                this.moveChecklistItem(id, itemId, -1);
+                break;
+            case 'move-down':
+                this.moveChecklistItem(id, itemId, 1);
+                break;
+            case 'delete-item':
+                this.deleteChecklistItem(id, itemId);
+                break;
+            case 'add-item':
+                this.addChecklistItem(id, taskItem.querySelector('.checklist-input').value);
+                break;
+            case 'auto-complete':
+                this.setChecklistAutoComplete(id, control.checked);
+                break;
+            default:
+                return false;
+        }
+        return true;
+    }
+
     bindTaskEvents() {
         // Remove previous listeners to avoid duplicates
         if (this.tasksList) {
             this.tasksList.removeEventListener('click', this._taskListHandler);
             this._taskListHandler = (e) => {
+                if (this.handleChecklistEvent(e)) return;
                 const editBtn = e.target.closest('.edit-btn');
                 const deleteBtn = e.target.closest('.delete-btn');
                 if (editBtn) {
@@ -452,12 +2375,43 @@ class TaskManager {
                 }
             };
             this.tasksList.addEventListener('click', this._taskListHandler);
+            this.tasksList.removeEventListener('keypress', this._checklistKeyHandler);
+            this._checklistKeyHandler = (e) => {
+                if (e.key !== 'Enter' || !e.target.classList.contains('checklist-input')) return;
+                const taskItem = e.target.closest('.task-item');
+                if (taskItem) this.addChecklistItem(taskItem.getAttribute('data-id'), e.target.value);
+            };
+            this.tasksList.addEventListener('keypress', this._checklistKeyHandler);
         }
     }
 
     updateStats() {
-        const total = this.tasks.length;
-        const completed = this.tasks.filter(t => t.completed).length;
+        this.renderHeaderStats();
+        this.scheduleTaskStats(); // tasks changed; refresh the server's counts
+        this.updateMotivationalQuote();
+        this.renderAnalytics();
+    }
+
+    // --- Analytics & Insights ---
+    // Drawn from /api/tasks/stats, so they don't change with the search box or how many pages are loaded
+    renderAnalytics() {
+        this.updateListStats();
+        if (!this.taskStats) return;
+        this.updateStreak();
+        this.updateBestDay();
+        this.updateCompletionChart();
+        this.updateCategoryPieChart();
+        this.updateAvgTasks();
+        this.updateWeeklyProgress();
+        this.updateCategoryStats();
+        this.updateProductivityTrends();
+        this.updateAchievements();
+    }
+
+    // Counts from /api/tasks/stats once loaded, the loaded tasks until then
+    renderHeaderStats() {
+        const total = this.taskStats ? this.taskStats.total : this.tasks.length;
+        const completed = this.taskStats ? this.taskStats.completed : this.tasks.filter(t => t.completed).length;
         const pending = total - completed;
         const productivity = total > 0 ? Math.round((completed / total) * 100) : 0;
 
@@ -468,37 +2422,13 @@ class TaskManager {
 
         // Show/hide clear completed button
         this.clearCompletedBtn.style.display = completed > 0 ? 'flex' : 'none';
-
-        // --- Analytics & Insights ---
-        const streak = this.updateStreak();
-        this.updateBestDay();
-        this.updateCompletionChart();
-        this.updateMotivationalQuote();
-        this.updateCategoryPieChart();
-        this.updateAvgTasks();
-        this.updateWeeklyProgress();
-        this.updateCategoryStats();
-        this.updateProductivityTrends();
-        this.updateAchievements();
     }
 
     // --- Streak Counter ---
     updateStreak() {
         const streakEl = document.getElementById('streakCounter');
-        // Get unique days with at least one completed task
-        const days = this.tasks.filter(t => t.completed).map(t => t.createdAt.split('T')[0]);
-        const uniqueDays = Array.from(new Set(days)).sort();
-        // Calculate streak
-        let streak = 0;
-        let d = new Date();
-        for (let i = uniqueDays.length - 1; i >= 0; i--) {
-            if (uniqueDays[i] === d.toISOString().split('T')[0]) {
-                streak++;
-                d.setDate(d.getDate() - 1);
-            } else {
-                break;
-            }
-        }
+        // Consecutive days, up to today, with at least one completed task
+        const streak = this.taskStats.streak;
         if (streakEl) {
             streakEl.textContent = streak + ' day' + (streak === 1 ? '' : 's');
         }
@@ -510,13 +2440,7 @@ class TaskManager {
         const bestDayEl = document.getElementById('bestDay');
         if (!bestDayEl) return;
         const dayNames = ['Sunday','Monday','Tuesday','Wednesday','Thursday','Friday','Saturday'];
-        const counts = [0,0,0,0,0,0,0];
-        this.tasks.forEach(t => {
-            if (t.completed) {
-                const d = new Date(t.createdAt);
-                counts[d.getDay()]++;
-            }
-        });
+        const counts = this.taskStats.completedByWeekday;
         const max = Math.max(...counts);
         if (max === 0) {
             bestDayEl.textContent = '-';
@@ -532,16 +2456,8 @@ class TaskManager {
         if (!canvas) return;
         const ctx = canvas.getContext('2d');
         ctx.clearRect(0,0,canvas.width,canvas.height);
-        // Get last 7 days
-        let days = [];
-        let now = new Date();
-        for (let i=6; i>=0; i--) {
-            let d = new Date(now);
-            d.setDate(now.getDate()-i);
-            days.push(d.toISOString().split('T')[0]);
-        }
-        // Count completed per day
-        let counts = days.map(day => this.tasks.filter(t => t.completed && t.createdAt.startsWith(day)).length);
+        // Completed per day over the last 7 days
+        let counts = this.taskStats.last7Days.map(d => d.completed);
         let max = Math.max(1, ...counts);
         // Draw bars
         let w = canvas.width/7, h = canvas.height;
@@ -607,13 +2523,12 @@ class TaskManager {
         const ctx = canvas.getContext('2d');
         ctx.clearRect(0,0,canvas.width,canvas.height);
         // Count by category
-        const cats = {};
-        this.tasks.forEach(t => {
-            const cat = t.category || 'other';
-            cats[cat] = (cats[cat]||0)+1;
-        });
-        const colors = ['#667eea','#f093fb','#48bb78','#ed8936','#e53e3e','#764ba2','#38a169'];
+        const cats = this.taskStats.byCategory;
+        const palette = ['#667eea','#f093fb','#48bb78','#ed8936','#e53e3e','#764ba2','#38a169'];
         const keys = Object.keys(cats);
+        // Each slice uses its category's own color, falling back to the palette for unknown ones
+        const colors = keys.map((k, i) => (this.categoryFor(k) || {}).color || palette[i % palette.length]);
+        const labels = keys.map(k => this.categoryLabel(k));
         const total = keys.reduce((a,k)=>a+cats[k],0);
         // Fallback: No tasks
         if (total === 0) {
@@ -633,7 +2548,7 @@ class TaskManager {
             ctx.font = '13px Poppins, Inter, sans-serif';
             ctx.fillStyle = '#fff';
             ctx.textAlign = 'center';
-            ctx.fillText(keys[0].charAt(0).toUpperCase()+keys[0].slice(1), canvas.width/2, canvas.height/2+5);
+            ctx.fillText(labels[0], canvas.width/2, canvas.height/2+5);
             return;
         }
         // Normal pie chart
@@ -645,7 +2560,7 @@ class TaskManager {
             ctx.moveTo(canvas.width/2,canvas.height/2);
             ctx.arc(canvas.width/2,canvas.height/2,canvas.width/2-8,start,start+angle);
             ctx.closePath();
-            ctx.fillStyle = colors[i%colors.length];
+            ctx.fillStyle = colors[i];
             ctx.fill();
             // Draw label
             const midAngle = start + angle/2;
@@ -654,7 +2569,7 @@ class TaskManager {
             ctx.font = '12px Poppins, Inter, sans-serif';
             ctx.fillStyle = '#222';
             ctx.textAlign = 'center';
-            ctx.fillText(k.charAt(0).toUpperCase()+k.slice(1), labelX, labelY);
+            ctx.fillText(labels[i], labelX, labelY);
             start += angle;
         });
     }
@@ -663,11 +2578,9 @@ class TaskManager {
     updateAvgTasks() {
         const avgEl = document.getElementById('avgTasks');
         if (!avgEl) return;
-        if (this.tasks.length === 0) { avgEl.textContent = '0'; return; }
-        // Get unique days
-        const days = Array.from(new Set(this.tasks.map(t => t.createdAt.split('T')[0])));
-        const avg = (this.tasks.length / days.length).toFixed(1);
-        avgEl.textContent = avg;
+        // Over the days that have any tasks
+        const avg = this.taskStats.avgPerDay;
+        avgEl.textContent = avg ? avg.toFixed(1) : '0';
     }
 
     // --- Weekly Progress ---
@@ -675,17 +2588,9 @@ class TaskManager {
         const progressBar = document.getElementById('weeklyProgress');
         const progressText = document.getElementById('progressText');
         if (!progressBar || !progressText) return;
-        // Get last 7 days' tasks
-        let now = new Date();
-        let weekTasks = [];
-        for (let i=0; i<7; i++) {
-            let d = new Date(now);
-            d.setDate(now.getDate()-i);
-            weekTasks.push(d.toISOString().split('T')[0]);
-        }
-        const tasks7d = this.tasks.filter(t => weekTasks.includes(t.createdAt.split('T')[0]));
-        const completed7d = tasks7d.filter(t => t.completed).length;
-        const percent = tasks7d.length > 0 ? Math.round((completed7d / tasks7d.length) * 100) : 0;
+        // Tasks created in the last 7 days, and how many of them are done
+        const { created, completed } = this.taskStats.weeklyProgress;
+        const percent = created > 0 ? Math.round((completed / created) * 100) : 0;
         progressBar.style.width = percent + '%';
         progressText.textContent = percent + '% Complete';
     }
@@ -694,14 +2599,10 @@ class TaskManager {
     updateCategoryStats() {
         const statsEl = document.getElementById('categoryStats');
         if (!statsEl) return;
-        const cats = {};
-        this.tasks.forEach(t => {
-            const cat = t.category || 'other';
-            cats[cat] = (cats[cat]||0)+1;
-        });
+        const cats = this.taskStats.byCategory;
         statsEl.innerHTML = '';
         Object.entries(cats).forEach(([cat, count]) => {
-            statsEl.innerHTML += `<div class="category-stat"><span class="category-name">${cat.charAt(0).toUpperCase()+cat.slice(1)}</span><span class="category-count">${count}</span></div>`;
+            statsEl.innerHTML += `<div class="category-stat"><span class="category-name">${escapeHtml(this.categoryLabel(cat))}</span><span class="category-count">${count}</span></div>`;
         });
     }
 
@@ -709,16 +2610,8 @@ class TaskManager {
     updateProductivityTrends() {
         const trendEl = document.getElementById('trendChart');
         if (!trendEl) return;
-        // Get last 7 days
-        let now = new Date();
-        let days = [];
-        for (let i=6; i>=0; i--) {
-            let d = new Date(now);
-            d.setDate(now.getDate()-i);
-            days.push(d.toISOString().split('T')[0]);
-        }
-        // Count completed per day
-        let counts = days.map(day => this.tasks.filter(t => t.completed && t.createdAt.startsWith(day)).length);
+        // Completed per day over the last 7 days
+        let counts = this.taskStats.last7Days.map(d => d.completed);
         // Render as bars
         trendEl.innerHTML = '';
         const max = Math.max(1, ...counts);
@@ -735,15 +2628,14 @@ class TaskManager {
     updateAchievements() {
         const achEl = document.getElementById('achievements');
         if (!achEl) return;
-        const completed = this.tasks.filter(t => t.completed).length;
-        const streak = document.getElementById('streakCounter')?.textContent || '';
+        const { completed, streak, total } = this.taskStats;
         let achievements = [];
         if (completed >= 10) achievements.push({icon:'fa-medal',text:'10 Tasks Completed!'});
         if (completed >= 25) achievements.push({icon:'fa-trophy',text:'25 Tasks Completed!'});
         if (completed >= 50) achievements.push({icon:'fa-crown',text:'50 Tasks Completed!'});
-        if (streak.startsWith('5')) achievements.push({icon:'fa-fire',text:'5 Day Streak!'});
-        if (streak.startsWith('7')) achievements.push({icon:'fa-bolt',text:'7 Day Streak!'});
-        if (this.tasks.length >= 20) achievements.push({icon:'fa-star',text:'20+ Tasks Added!'});
+        if (streak >= 5) achievements.push({icon:'fa-fire',text:'5 Day Streak!'});
+        if (streak >= 7) achievements.push({icon:'fa-bolt',text:'7 Day Streak!'});
+        if (total >= 20) achievements.push({icon:'fa-star',text:'20+ Tasks Added!'});
         achEl.innerHTML = achievements.length ? achievements.map(a => `<div class="achievement"><i class="fas ${a.icon}"></i><span class="achievement-text">${a.text}</span></div>`).join('') : '<div class="achievement-text">No achievements yet. Keep going!</div>';
     }
 
@@ -772,7 +2664,7 @@ class TaskManager {
             text += `⏳ PENDING TASKS:\n`;
             pendingTasks.forEach((task, index) => {
                 const priority = task.priority === 'high' ? '🔴' : task.priority === 'medium' ? '🟡' : '🟢';
-                const category = task.category || 'other';
+                const category = this.categoryLabel(task.category);
                 text += `${index + 1}. ${priority} ${task.text} (${category})\n`;
             });
             text += `\n`;
@@ -782,7 +2674,7 @@ class TaskManager {
             text += `✅ COMPLETED TASKS:\n`;
             completedTasks.forEach((task, index) => {
                 const priority = task.priority === 'high' ? '🔴' : task.priority === 'medium' ? '🟡' : '🟢';
-                const category = task.category || 'other';
+                const category = this.categoryLabel(task.category);
                 text += `${index + 1}. ${priority} ${task.text} (${category})\n`;
             });
             text += `\n`;
@@ -1051,13 +2943,16 @@ class TaskManager {
         }, 3000);
     }
 
-    pushUndo() {
-        this.undoStack.push(JSON.stringify(this.tasks));
+    // Undo/redo replay deletions against the server: undo restores the trashed tasks from the
+    // Trash, redo moves them back. A new deletion clears the redo history.
+    pushUndo(ids, keepRedo = false) {
+        this.undoStack.push(ids);
         if (this.undoStack.length > 50) this.undoStack.shift();
+        if (!keepRedo) this.redoStack = [];
         this.updateUndoRedoButtons();
     }
-    pushRedo() {
-        this.redoStack.push(JSON.stringify(this.tasks));
+    pushRedo(ids) {
+        this.redoStack.push(ids);
         if (this.redoStack.length > 50) this.redoStack.shift();
         this.updateUndoRedoButtons();
     }
@@ -1066,21 +2961,49 @@ class TaskManager {
         if (this.redoBtn) this.redoBtn.disabled = this.redoStack.length === 0;
     }
 
-    undo() {
+    async undo() {
         if (this.undoStack.length === 0) return;
-        this.pushRedo();
-        this.tasks = JSON.parse(this.undoStack.pop());
+        const ids = this.undoStack.pop();
+        this.updateUndoRedoButtons();
+        const results = await Promise.all(ids.map(id =>
+            authFetch(`/api/trash/${id}/restore`, { method: 'POST' })
+                .then(res => res.json())
+                .catch(() => ({ success: false }))
+        ));
+        const restored = results.filter(data => data.success).map(data => data.task);
+        const restoredIds = new Set(restored.map(t => t._id));
+        this.tasks = [...this.tasks.filter(t => !restoredIds.has(t._id)), ...restored];
+        if (restored.length) this.pushRedo(restored.map(t => t._id));
         this.saveTasks();
         this.renderTasks();
         this.updateStats();
+        if (restored.length < ids.length) {
+            // Already restored or emptied from the Trash elsewhere
+            this.showNotification('Some tasks could not be restored from the Trash', 'error');
+        } else {
+            this.showNotification('Restored from Trash', 'success');
+        }
     }
-    redo() {
+    async redo() {
         if (this.redoStack.length === 0) return;
-        this.pushUndo();
-        this.tasks = JSON.parse(this.redoStack.pop());
+        const ids = this.redoStack.pop();
+        this.updateUndoRedoButtons();
+        const results = await Promise.all(ids.map(id =>
+            authFetch(`/api/tasks/${id}`, { method: 'DELETE' })
+                .then(res => res.ok)
+                .catch(() => false)
+        ));
+        const trashedIds = ids.filter((id, i) => results[i]);
+        this.tasks = this.tasks.filter(t => !trashedIds.includes(t._id));
+        if (trashedIds.length) this.pushUndo(trashedIds, true);
         this.saveTasks();
         this.renderTasks();
         this.updateStats();
+        if (trashedIds.length < ids.length) {
+            this.showNotification('Some tasks could not be moved to the Trash', 'error');
+        } else {
+            this.showNotification('Moved to Trash', 'success');
+        }
     }
 
     showSuggestions() {
@@ -1177,7 +3100,7 @@ class TaskManager {
         message.textContent = `Are you sure you want to clear all completed tasks?`;
         modal.classList.add('show');
         const handleConfirm = () => {
-            this.clearCompleted(true); // true = force clear
+            this.clearCompleted();
             this.closeDeleteConfirmModal();
         };
         const handleCancel = () => {
@@ -1212,7 +3135,7 @@ class TaskManager {
                 btn.classList.toggle('active', btn.dataset.filter === filter);
             });
         }
-        this.renderTasks();
+        this.refreshTasks();
     }
 
     async toggleTask(taskId) {
@@ -1220,14 +3143,13 @@ class TaskManager {
         if (!task) return;
         const updated = !task.completed;
         // Update on server
-        const res = await fetch(`/api/tasks/${taskId}`, {
+        const res = await authFetch(`/api/tasks/${taskId}`, {
             method: 'PUT',
-            headers: { 'Content-Type': 'application/json' },
             body: JSON.stringify({ completed: updated })
         });
         const updatedTask = await res.json();
         // Update locally
-        this.tasks = this.tasks.map(t => t._id === taskId ? updatedTask : t);
+        this.applyTaskUpdate(taskId, updatedTask);
         this.renderTasks();
         this.updateStats();
     }
@@ -1263,16 +3185,16 @@ document.head.appendChild(style);
 // UserProfileManager now uses backend API
 class UserProfileManager {
     constructor() {
-        this.phone = localStorage.getItem('currentUserPhone') || null;
+        this.token = localStorage.getItem('authToken') || null;
         this.userData = {};
         this.initializeElements();
         this.bindEvents();
         this.loadUserProfile();
     }
     async loadUserProfile() {
-        if (!this.phone) return;
+        if (!this.token) return;
         try {
-            const res = await fetch(`/api/user-profile?phone=${encodeURIComponent(this.phone)}`);
+            const res = await authFetch('/api/user-profile');
             if (res.ok) {
                 const data = await res.json();
                 if (data.error) {
@@ -1280,7 +3202,7 @@ class UserProfileManager {
                     this.userData = {
                         name: '',
                         email: '',
-                        phone: this.phone,
+                        phone: localStorage.getItem('currentUserPhone') || '',
                         bio: '',
                         stats: {},
                         joinDate: new Date().toLocaleDateString(),
@@ -1298,11 +3220,10 @@ class UserProfileManager {
         }
     }
     async saveUserData() {
-        if (!this.phone) return;
-        await fetch('/api/user-profile', {
+        if (!this.token) return;
+        await authFetch('/api/user-profile', {
             method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify({ ...this.userData, phone: this.phone })
+            body: JSON.stringify(this.userData)
         });
     }
     initializeElements() {
@@ -1313,6 +3234,7 @@ class UserProfileManager {
         this.profileEmail = document.getElementById('profileEmail');
         this.profilePhone = document.getElementById('profilePhone');
         this.profileBio = document.getElementById('profileBio');
+        this.profileOtpChannel = document.getElementById('profileOtpChannel');
         this.saveProfileBtn = document.getElementById('saveProfileBtn');
         this.logoutBtn = document.getElementById('logoutBtn');
         this.changePhotoBtn = document.getElementById('changePhotoBtn');
@@ -1325,6 +3247,51 @@ class UserProfileManager {
         this.userProductivity = document.getElementById('userProductivity');
         this.userJoinDate = document.getElementById('userJoinDate');
         this.userLastLogin = document.getElementById('userLastLogin');
+
+        // Signed-in devices
+        this.sessionsList = document.getElementById('sessionsList');
+
+        // Email verification
+        this.emailVerifiedBadge = document.getElementById('emailVerifiedBadge');
+        this.verifyEmailBtn = document.getElementById('verifyEmailBtn');
+        this.emailCodeRow = document.getElementById('emailCodeRow');
+        this.emailCodeInput = document.getElementById('emailCodeInput');
+        this.confirmEmailBtn = document.getElementById('confirmEmailBtn');
+
+        // Optional password
+        this.currentPasswordInput = document.getElementById('currentPasswordInput');
+        this.newPasswordInput = document.getElementById('newPasswordInput');
+        this.savePasswordBtn = document.getElementById('savePasswordBtn');
+        this.passwordError = document.getElementById('passwordError');
+
+        // Two-factor authentication
+        this.twoFactorStatus = document.getElementById('twoFactorStatus');
+        this.twoFactorSetupBtn = document.getElementById('twoFactorSetupBtn');
+        this.twoFactorReauth = document.getElementById('twoFactorReauth');
+        this.twoFactorPasswordInput = document.getElementById('twoFactorPasswordInput');
+        this.twoFactorOtpInput = document.getElementById('twoFactorOtpInput');
+        this.twoFactorSendCodeBtn = document.getElementById('twoFactorSendCodeBtn');
+        this.twoFactorContinueBtn = document.getElementById('twoFactorContinueBtn');
+        this.twoFactorSetup = document.getElementById('twoFactorSetup');
+        this.twoFactorQr = document.getElementById('twoFactorQr');
+        this.twoFactorSecret = document.getElementById('twoFactorSecret');
+        this.twoFactorCodeInput = document.getElementById('twoFactorCodeInput');
+        this.twoFactorConfirmBtn = document.getElementById('twoFactorConfirmBtn');
+        this.twoFactorManage = document.getElementById('twoFactorManage');
+        this.twoFactorManageInput = document.getElementById('twoFactorManageInput');
+        this.twoFactorNewCodesBtn = document.getElementById('twoFactorNewCodesBtn');
+        this.twoFactorDisableBtn = document.getElementById('twoFactorDisableBtn');
+        this.twoFactorRecovery = document.getElementById('twoFactorRecovery');
+        this.twoFactorRecoveryCodes = document.getElementById('twoFactorRecoveryCodes');
+
+        // Data export
+        this.exportDataBtn = document.getElementById('exportDataBtn');
+
+        // Account deletion
+        this.deleteAccountBtn = document.getElementById('deleteAccountBtn');
+        this.deleteAccountCodeRow = document.getElementById('deleteAccountCodeRow');
+        this.deleteAccountCodeInput = document.getElementById('deleteAccountCodeInput');
+        this.confirmDeleteAccountBtn = document.getElementById('confirmDeleteAccountBtn');
     }
 
     bindEvents() {
@@ -1336,46 +3303,406 @@ class UserProfileManager {
             this.saveProfileBtn.addEventListener('click', () => this.saveProfile());
         }
 
-        if (this.logoutBtn) {
-            this.logoutBtn.addEventListener('click', () => this.logout());
-        }
+        if (this.logoutBtn) {
+            this.logoutBtn.addEventListener('click', () => this.logout());
+        }
+
+        if (this.changePhotoBtn) {
+            this.changePhotoBtn.addEventListener('click', () => this.photoInput.click());
+        }
+
+        if (this.photoInput) {
+            this.photoInput.addEventListener('change', (e) => this.handlePhotoChange(e));
+        }
+
+        if (this.verifyEmailBtn) {
+            this.verifyEmailBtn.addEventListener('click', () => this.startEmailVerification());
+        }
+
+        if (this.confirmEmailBtn) {
+            this.confirmEmailBtn.addEventListener('click', () => this.confirmEmailVerification());
+        }
+
+        if (this.profileEmail) {
+            this.profileEmail.addEventListener('input', () => this.updateEmailStatus());
+        }
+
+        if (this.savePasswordBtn) {
+            this.savePasswordBtn.addEventListener('click', () => this.savePassword());
+        }
+
+        if (this.twoFactorSetupBtn) {
+            this.twoFactorSetupBtn.addEventListener('click', () => this.showTwoFactorReauth());
+            this.twoFactorSendCodeBtn.addEventListener('click', () => this.sendTwoFactorSetupCode());
+            this.twoFactorContinueBtn.addEventListener('click', () => this.startTwoFactorSetup());
+            this.twoFactorConfirmBtn.addEventListener('click', () => this.confirmTwoFactorSetup());
+            this.twoFactorNewCodesBtn.addEventListener('click', () => this.regenerateRecoveryCodes());
+            this.twoFactorDisableBtn.addEventListener('click', () => this.disableTwoFactor());
+        }
+
+        if (this.exportDataBtn) {
+            this.exportDataBtn.addEventListener('click', () => this.downloadData());
+        }
+
+        if (this.deleteAccountBtn) {
+            this.deleteAccountBtn.addEventListener('click', () => this.requestAccountDeletion());
+        }
+
+        if (this.confirmDeleteAccountBtn) {
+            this.confirmDeleteAccountBtn.addEventListener('click', () => this.confirmAccountDeletion());
+        }
+
+        if (this.sessionsList) {
+            this.sessionsList.addEventListener('click', (e) => {
+                const btn = e.target.closest('.session-revoke-btn');
+                if (btn) this.revokeSession(btn.dataset.sessionId, btn.dataset.current === 'true');
+            });
+        }
+
+        // Close dropdown when clicking outside
+        document.addEventListener('click', (e) => {
+            if (!this.userProfileBtn?.contains(e.target) && !this.userProfileDropdown?.contains(e.target)) {
+                this.closeDropdown();
+            }
+        });
+    }
+
+    toggleDropdown() {
+        this.userProfileDropdown.classList.toggle('show');
+        this.userProfileBtn.classList.toggle('active');
+        if (this.userProfileDropdown.classList.contains('show')) {
+            this.loadSessions();
+        }
+    }
+
+    async loadSessions() {
+        if (!this.token || !this.sessionsList) return;
+        try {
+            const res = await authFetch('/api/auth/sessions');
+            if (!res.ok) return;
+            const data = await res.json();
+            this.renderSessions(data.sessions || []);
+        } catch (error) {
+            console.error('Error loading sessions:', error);
+        }
+    }
+
+    renderSessions(sessions) {
+        this.sessionsList.innerHTML = sessions.map(session => `
+            <div class="session-item">
+                <i class="fas fa-${/Android|iOS/.test(session.device) ? 'mobile-alt' : 'desktop'}"></i>
+                <div class="session-info">
+                    <span class="session-device">${escapeHtml(session.device)}</span>
+                    <span class="session-meta">${escapeHtml(session.ip || '')} · Last active ${new Date(session.lastUsedAt).toLocaleString()}</span>
+                </div>
+                ${session.current ? '<span class="session-current">This device</span>' : ''}
+                <button class="session-revoke-btn" data-session-id="${session.id}" data-current="${session.current}">
+                    ${session.current ? 'Sign out' : 'Revoke'}
+                </button>
+            </div>
+        `).join('');
+    }
+
+    async revokeSession(sessionId, isCurrent) {
+        if (isCurrent) {
+            planelloLogout();
+            return;
+        }
+        const res = await authFetch(`/api/auth/sessions/${sessionId}`, { method: 'DELETE' });
+        if (res.ok && window.taskManager) {
+            window.taskManager.showNotification('Device signed out', 'success');
+        }
+        this.loadSessions();
+    }
+
+    closeDropdown() {
+        this.userProfileDropdown.classList.remove('show');
+        this.userProfileBtn.classList.remove('active');
+    }
+
+    updateDisplay() {
+        if (this.userName) this.userName.textContent = this.userData.name;
+        if (this.profileName) this.profileName.value = this.userData.name;
+        if (this.profileEmail) this.profileEmail.value = this.userData.email;
+        if (this.profilePhone) this.profilePhone.value = '';
+        if (this.profileBio) this.profileBio.value = this.userData.bio;
+        if (this.profileOtpChannel) this.profileOtpChannel.value = this.userData.preferredOtpChannel || 'whatsapp';
+        if (this.userJoinDate) this.userJoinDate.textContent = this.userData.joinDate;
+        if (this.userLastLogin) this.userLastLogin.textContent = this.userData.lastLogin;
+
+        this.updateStatsDisplay();
+        this.updateEmailStatus();
+        this.updatePasswordSection();
+        this.updateTwoFactorSection();
+    }
+
+    updateTwoFactorSection() {
+        if (!this.twoFactorStatus) return;
+        const enabled = !!this.userData.twoFactorEnabled;
+        this.twoFactorStatus.textContent = enabled
+            ? `On · ${this.userData.recoveryCodesLeft || 0} recovery codes left`
+            : (this.userData.isAdmin ? 'Off · required for admin tools' : 'Off');
+        this.twoFactorSetupBtn.style.display = enabled ? 'none' : '';
+        this.twoFactorManage.style.display = enabled ? '' : 'none';
+        if (enabled) {
+            this.twoFactorReauth.style.display = 'none';
+            this.twoFactorSetup.style.display = 'none';
+        }
+    }
+
+    // Enrollment re-confirms the first factor: the password if there is one, otherwise a code
+    showTwoFactorReauth() {
+        const hasPassword = !!this.userData.hasPassword;
+        this.twoFactorPasswordInput.value = '';
+        this.twoFactorOtpInput.value = '';
+        this.twoFactorPasswordInput.style.display = hasPassword ? '' : 'none';
+        this.twoFactorOtpInput.style.display = 'none';
+        this.twoFactorSendCodeBtn.textContent = hasPassword ? 'Use a code instead' : 'Send me a code';
+        this.twoFactorSetup.style.display = 'none';
+        this.twoFactorReauth.style.display = '';
+        if (hasPassword) this.twoFactorPasswordInput.focus();
+    }
+
+    async sendTwoFactorSetupCode() {
+        const res = await authFetch('/api/auth/2fa/setup/request', { method: 'POST' });
+        const data = await res.json();
+        if (window.taskManager) {
+            window.taskManager.showNotification(data.message || 'Failed to send a code', data.success ? 'success' : 'error');
+        }
+        if (data.success) {
+            this.twoFactorPasswordInput.value = '';
+            this.twoFactorPasswordInput.style.display = 'none';
+            this.twoFactorOtpInput.style.display = '';
+            this.twoFactorSendCodeBtn.textContent = 'Resend code';
+            this.twoFactorOtpInput.focus();
+        }
+    }
+
+    async startTwoFactorSetup() {
+        const res = await authFetch('/api/auth/2fa/setup', {
+            method: 'POST',
+            body: JSON.stringify({
+                password: this.twoFactorPasswordInput.value || undefined,
+                otp: this.twoFactorOtpInput.value.trim() || undefined
+            })
+        });
+        const data = await res.json();
+        if (!data.success) {
+            if (window.taskManager) window.taskManager.showNotification(data.message || 'Failed to start setup', 'error');
+            return;
+        }
+        this.twoFactorEnrollToken = data.enrollToken;
+        this.twoFactorPasswordInput.value = '';
+        this.twoFactorOtpInput.value = '';
+        this.twoFactorReauth.style.display = 'none';
+        this.twoFactorQr.src = data.qrCode;
+        this.twoFactorSecret.textContent = data.secret.replace(/(.{4})/g, '$1 ').trim();
+        this.twoFactorSetup.style.display = '';
+        this.twoFactorCodeInput.value = '';
+        this.twoFactorCodeInput.focus();
+    }
+
+    async confirmTwoFactorSetup() {
+        const res = await authFetch('/api/auth/2fa/enable', {
+            method: 'POST',
+            body: JSON.stringify({ enrollToken: this.twoFactorEnrollToken, code: this.twoFactorCodeInput.value.trim() })
+        });
+        const data = await res.json();
+        if (window.taskManager) {
+            window.taskManager.showNotification(data.message || 'Failed to enable two-factor authentication', data.success ? 'success' : 'error');
+        }
+        if (data.code === 'REAUTH_REQUIRED') {
+            this.showTwoFactorReauth();
+            return;
+        }
+        if (data.success) {
+            this.twoFactorEnrollToken = null;
+            this.userData.twoFactorEnabled = true;
+            this.userData.recoveryCodesLeft = data.recoveryCodes.length;
+            this.showRecoveryCodes(data.recoveryCodes);
+            this.updateTwoFactorSection();
+        }
+    }
+
+    async regenerateRecoveryCodes() {
+        const res = await authFetch('/api/auth/2fa/recovery-codes', {
+            method: 'POST',
+            body: JSON.stringify({ code: this.twoFactorManageInput.value.trim() })
+        });
+        const data = await res.json();
+        if (!data.success) {
+            if (window.taskManager) window.taskManager.showNotification(data.message || 'Failed to create recovery codes', 'error');
+            return;
+        }
+        this.twoFactorManageInput.value = '';
+        this.userData.recoveryCodesLeft = data.recoveryCodes.length;
+        this.showRecoveryCodes(data.recoveryCodes);
+        this.updateTwoFactorSection();
+    }
+
+    async disableTwoFactor() {
+        const res = await authFetch('/api/auth/2fa/disable', {
+            method: 'POST',
+            body: JSON.stringify({ code: this.twoFactorManageInput.value.trim() })
+        });
+        const data = await res.json();
+        if (window.taskManager) {
+            window.taskManager.showNotification(data.message || 'Failed to disable two-factor authentication', data.success ? 'success' : 'error');
+        }
+        if (data.success) {
+            this.twoFactorManageInput.value = '';
+            this.userData.twoFactorEnabled = false;
+            this.twoFactorRecovery.style.display = 'none';
+            this.updateTwoFactorSection();
+        }
+    }
+
+    showRecoveryCodes(codes) {
+        this.twoFactorRecoveryCodes.textContent = codes.join('\n');
+        this.twoFactorRecovery.style.display = '';
+    }
+
+    // Changing an existing password needs the current one; setting a first one doesn't
+    updatePasswordSection() {
+        if (!this.savePasswordBtn) return;
+        const hasPassword = !!this.userData.hasPassword;
+        this.currentPasswordInput.style.display = hasPassword ? '' : 'none';
+        this.passwordError.style.display = 'none';
+        this.savePasswordBtn.textContent = hasPassword ? 'Change password' : 'Set password';
+    }
+
+    async savePassword() {
+        const res = await authFetch('/api/auth/password', {
+            method: 'POST',
+            body: JSON.stringify({
+                currentPassword: this.currentPasswordInput.value,
+                newPassword: this.newPasswordInput.value
+            })
+        });
+        const data = await res.json();
+        if (!data.success) {
+            // Shown next to the form so the user can correct the field and try again
+            this.passwordError.textContent = data.message || 'Failed to update password';
+            this.passwordError.style.display = '';
+            (data.code === 'INVALID_CREDENTIALS' ? this.currentPasswordInput : this.newPasswordInput).focus();
+            return;
+        }
+        this.passwordError.style.display = 'none';
+        this.userData.hasPassword = true;
+        this.currentPasswordInput.value = '';
+        this.newPasswordInput.value = '';
+        this.updatePasswordSection();
+        if (window.taskManager) window.taskManager.showNotification(data.message, 'success');
+    }
+
+    // Saves the full export as JSON and the tasks as CSV
+    async downloadData() {
+        try {
+            const [jsonRes, csvRes] = await Promise.all([
+                authFetch('/api/account/export'),
+                authFetch('/api/account/export?format=csv')
+            ]);
+            if (!jsonRes.ok || !csvRes.ok) throw new Error(`Export failed (${jsonRes.status}/${csvRes.status})`);
+            const stamp = new Date().toISOString().slice(0, 10);
+            this.saveFile(await jsonRes.blob(), `planello-export-${stamp}.json`);
+            this.saveFile(await csvRes.blob(), `planello-tasks-${stamp}.csv`);
+        } catch (error) {
+            console.error('Error exporting data:', error);
+            if (window.taskManager) {
+                window.taskManager.showNotification('Failed to download your data', 'error');
+            }
+        }
+    }
+
+    saveFile(blob, filename) {
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
 
-        if (this.changePhotoBtn) {
-            this.changePhotoBtn.addEventListener('click', () => this.photoInput.click());
+    async requestAccountDeletion() {
+        if (!confirm('Delete your account? All of your tasks and settings will be permanently removed after the grace period.')) return;
+        const res = await authFetch('/api/account/delete/request', { method: 'POST' });
+        const data = await res.json();
+        if (window.taskManager) {
+            window.taskManager.showNotification(data.message || 'Failed to send code', data.success ? 'success' : 'error');
         }
-
-        if (this.photoInput) {
-            this.photoInput.addEventListener('change', (e) => this.handlePhotoChange(e));
+        if (data.success) {
+            this.deleteAccountCodeRow.style.display = '';
+            this.deleteAccountCodeInput.value = '';
+            this.deleteAccountCodeInput.focus();
         }
+    }
 
-        // Close dropdown when clicking outside
-        document.addEventListener('click', (e) => {
-            if (!this.userProfileBtn?.contains(e.target) && !this.userProfileDropdown?.contains(e.target)) {
-                this.closeDropdown();
-            }
+    async confirmAccountDeletion() {
+        const res = await authFetch('/api/account', {
+            method: 'DELETE',
+            body: JSON.stringify({ otp: this.deleteAccountCodeInput.value.trim() })
         });
+        const data = await res.json();
+        if (!data.success) {
+            if (window.taskManager) {
+                window.taskManager.showNotification(data.message || 'Failed to delete account', 'error');
+            }
+            return;
+        }
+        // The server has already ended every session
+        alert(data.message);
+        planelloLogout({ skipServer: true });
     }
 
-    toggleDropdown() {
-        this.userProfileDropdown.classList.toggle('show');
-        this.userProfileBtn.classList.toggle('active');
+    // Show "Verified" only while the field still holds the verified address
+    updateEmailStatus() {
+        if (!this.profileEmail || !this.verifyEmailBtn) return;
+        const typed = this.profileEmail.value.trim().toLowerCase();
+        const verified = !!this.userData.emailVerified && typed === (this.userData.email || '').toLowerCase();
+        this.emailVerifiedBadge.style.display = verified ? '' : 'none';
+        this.verifyEmailBtn.style.display = verified || !typed ? 'none' : '';
     }
 
-    closeDropdown() {
-        this.userProfileDropdown.classList.remove('show');
-        this.userProfileBtn.classList.remove('active');
+    async startEmailVerification() {
+        const email = this.profileEmail.value.trim();
+        const res = await authFetch('/api/account/email', {
+            method: 'POST',
+            body: JSON.stringify({ email })
+        });
+        const data = await res.json();
+        if (window.taskManager) {
+            window.taskManager.showNotification(data.message || 'Failed to send code', data.success ? 'success' : 'error');
+        }
+        if (data.success) {
+            this.emailCodeRow.style.display = '';
+            this.emailCodeInput.value = '';
+            this.emailCodeInput.focus();
+        }
     }
 
-    updateDisplay() {
-        if (this.userName) this.userName.textContent = this.userData.name;
-        if (this.profileName) this.profileName.value = this.userData.name;
-        if (this.profileEmail) this.profileEmail.value = this.userData.email;
-        if (this.profilePhone) this.profilePhone.value = '';
-        if (this.profileBio) this.profileBio.value = this.userData.bio;
-        if (this.userJoinDate) this.userJoinDate.textContent = this.userData.joinDate;
-        if (this.userLastLogin) this.userLastLogin.textContent = this.userData.lastLogin;
-
-        this.updateStatsDisplay();
+    async confirmEmailVerification() {
+        const otp = this.emailCodeInput.value.trim();
+        if (!otp) return;
+        const res = await authFetch('/api/account/email/verify', {
+            method: 'POST',
+            body: JSON.stringify({ otp })
+        });
+        const data = await res.json();
+        if (data.success) {
+            // Keep local state in step so the next profile save doesn't undo the change
+            this.userData.email = data.email;
+            this.userData.emailVerified = true;
+            this.emailCodeRow.style.display = 'none';
+            this.updateDisplay();
+        }
+        if (window.taskManager) {
+            const message = data.success ? 'Email verified. You can now sign in with it.'
+                : data.code === 'OTP_INVALID' ? `Incorrect code. ${data.attemptsRemaining} attempts left.`
+                : (data.message || 'Verification failed');
+            window.taskManager.showNotification(message, data.success ? 'success' : 'error');
+        }
     }
 
     updateStatsDisplay() {
@@ -1390,6 +3717,7 @@ class UserProfileManager {
         this.userData.email = this.profileEmail.value;
         this.userData.phone = this.profilePhone.value;
         this.userData.bio = this.profileBio.value;
+        if (this.profileOtpChannel) this.userData.preferredOtpChannel = this.profileOtpChannel.value;
 
         this.saveUserData();
         this.updateDisplay();
@@ -1505,8 +3833,8 @@ class ThemeManager {
 // Dashboard Manager
 class DashboardManager {
     constructor() {
-        this.phone = localStorage.getItem('currentUserPhone') || null;
-        console.log('DashboardManager initialized with phone:', this.phone);
+        this.token = localStorage.getItem('authToken') || null;
+        console.log('DashboardManager initialized, signed in:', !!this.token);
         this.initializeElements();
         this.bindEvents();
         this.loadSchedule();
@@ -1516,7 +3844,7 @@ class DashboardManager {
         this.headerRow = document.getElementById('headerRow');
         this.tableBody = document.getElementById('tableBody');
 
-        if (!this.phone) {
+        if (!this.token) {
             this.resetToDefaultSchedule();
             this.unlockScheduleCells();
             return;
@@ -1524,7 +3852,7 @@ class DashboardManager {
 
         try {
             // Fetch schedule from backend
-            const res = await fetch(`/api/schedule?phone=${encodeURIComponent(this.phone)}`);
+            const res = await authFetch('/api/schedule');
             const data = await res.json();
 
             // Debug: Log the raw data from the server
@@ -1729,7 +4057,7 @@ class DashboardManager {
 
     async saveSchedule() {
         // Don't save if we're not logged in
-        if (!this.phone) {
+        if (!this.token) {
             this.showNotification('Please log in to save your schedule', 'error');
             return false;
         }
@@ -1815,15 +4143,10 @@ class DashboardManager {
                 saveButton.innerHTML = '<i class="fas fa-spinner fa-spin"></i> Saving...';
             }
 
-            // Debug: Log the phone number before sending
-            console.log('Saving schedule with phone:', this.phone);
-
             // Send the data to the server
-            const response = await fetch('/api/schedule', {
+            const response = await authFetch('/api/schedule', {
                 method: 'POST',
-                headers: { 'Content-Type': 'application/json' },
                 body: JSON.stringify({
-                    phone: this.phone,
                     schedule: scheduleData
                 })
             });
@@ -2043,27 +4366,21 @@ class DashboardManager {
 
     applyTemplate(template) {
         if (!window.taskManager) return;
-        const phone = localStorage.getItem('currentUserPhone');
-        if (!phone) {
-            window.taskManager.showNotification('No user phone found. Please log in.', 'error');
+        if (!localStorage.getItem('authToken')) {
+            window.taskManager.showNotification('You are not signed in. Please log in.', 'error');
             return;
         }
         // Add each template task to backend
         Promise.all(template.tasks.map(text => {
-            return fetch('/api/tasks', {
+            return authFetch('/api/tasks', {
                 method: 'POST',
-                headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify({ phone, text, priority: 'medium' })
+                body: JSON.stringify({ text, priority: 'medium' })
             });
         })).then(() => {
             // Reload tasks from backend
-            fetch(`/api/tasks?phone=${encodeURIComponent(phone)}`)
-                .then(res => res.json())
-                .then(tasks => {
-                    window.taskManager.tasks = tasks;
+            window.taskManager.loadTasks()
+                .then(() => {
                     window.taskManager.saveTasks();
-                    window.taskManager.renderTasks();
-                    window.taskManager.updateStats();
                     this.templateModal.classList.remove('show');
                     if (window.taskManager.showNotification) {
                         window.taskManager.showNotification('Template applied!', 'success');
@@ -2197,10 +4514,8 @@ class DashboardManager {
     }
 
     async clearSchedule() {
-        if (this.phone) { // If there's a user, clear it on the backend
-            await fetch(`/api/schedule/clear?phone=${encodeURIComponent(this.phone)}`, {
-                method: 'DELETE'
-            });
+        if (this.token) { // If there's a user, clear it on the backend
+            await authFetch('/api/schedule/clear', { method: 'DELETE' });
         }
         // Regardless, reset the UI to the default and unlock it.
         this.resetToDefaultSchedule();
@@ -2458,15 +4773,21 @@ class AnalyticsManager {
 // Focus Manager now uses backend API
 class FocusManager {
     constructor() {
-        this.phone = localStorage.getItem('currentUserPhone') || null;
+        this.token = localStorage.getItem('authToken') || null;
         this.focusItem = null;
+        this.pomodoro = null; // the running session as the server describes it
+        this.pomodoroEndsAt = null; // local clock time the current phase ends
+        this.pomodoroSettings = { workMinutes: 25, breakMinutes: 5, rounds: 4 };
+        this.pomodoroTick = null;
         this.initializeElements();
         this.bindEvents();
         this.loadFocusItem();
+        this.loadPomodoro();
+        this.loadFocusSessions();
     }
     async loadFocusItem() {
-        if (!this.phone) return;
-        const res = await fetch(`/api/focus?phone=${encodeURIComponent(this.phone)}`);
+        if (!this.token) return;
+        const res = await authFetch('/api/focus');
         if (res.ok) {
             const data = await res.json();
             this.focusItem = data.focus;
@@ -2474,19 +4795,165 @@ class FocusManager {
         }
     }
     async saveFocusItem() {
-        if (!this.phone) return;
-        await fetch('/api/focus', {
+        if (!this.token) return;
+        await authFetch('/api/focus', {
             method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify({ phone: this.phone, focus: this.focusItem })
+            body: JSON.stringify({ focus: this.focusItem })
         });
     }
     initializeElements() {
         this.focusContent = document.querySelector('.focus-content');
+        this.pomodoroPanel = document.getElementById('pomodoroPanel');
+        this.focusSessionsEl = document.getElementById('focusSessions');
     }
 
     bindEvents() {
-        // No additional event binding needed for single focus item
+        if (this.pomodoroPanel) {
+            this.pomodoroPanel.addEventListener('click', (e) => {
+                const button = e.target.closest('[data-pomodoro-action]');
+                if (!button) return;
+                const action = button.dataset.pomodoroAction;
+                if (action === 'start') this.startPomodoro();
+                else this.pomodoroCommand(action);
+            });
+        }
+    }
+
+    // --- Pomodoro ---
+    // The server owns the session and moves it between work and break; this only shows the countdown
+    async loadPomodoro() {
+        if (!this.token) return;
+        try {
+            const res = await authFetch('/api/focus/pomodoro');
+            if (!res.ok) return;
+            const data = await res.json();
+            if (data.settings) this.pomodoroSettings = data.settings;
+            this.setPomodoro(data.pomodoro);
+        } catch (error) {
+            console.error('Error loading Pomodoro:', error);
+        }
+    }
+
+    setPomodoro(pomodoro) {
+        this.pomodoro = pomodoro;
+        this.pomodoroEndsAt = pomodoro && !pomodoro.paused ? Date.now() + pomodoro.remainingMs : null;
+        clearInterval(this.pomodoroTick);
+        this.pomodoroTick = this.pomodoroEndsAt ? setInterval(() => this.tickPomodoro(), 1000) : null;
+        this.renderPomodoro();
+    }
+
+    pomodoroRemainingMs() {
+        if (!this.pomodoro) return 0;
+        return this.pomodoroEndsAt ? Math.max(0, this.pomodoroEndsAt - Date.now()) : this.pomodoro.remainingMs;
+    }
+
+    tickPomodoro() {
+        const countdown = this.pomodoroPanel && this.pomodoroPanel.querySelector('.pomodoro-countdown');
+        if (countdown) countdown.textContent = formatClock(this.pomodoroRemainingMs()).replace(/^0:/, '');
+    }
+
+    renderPomodoro() {
+        if (!this.pomodoroPanel) return;
+        const p = this.pomodoro;
+        if (!p) {
+            const { workMinutes, breakMinutes, rounds } = this.pomodoroSettings;
+            this.pomodoroPanel.innerHTML = `
+                <div class="pomodoro-setup">
+                    <label>Work <input type="number" class="pomodoro-input" data-setting="workMinutes" min="1" max="120" value="${workMinutes}"> min</label>
+                    <label>Break <input type="number" class="pomodoro-input" data-setting="breakMinutes" min="1" max="60" value="${breakMinutes}"> min</label>
+                    <label>Rounds <input type="number" class="pomodoro-input" data-setting="rounds" min="1" max="12" value="${rounds}"></label>
+                    <button class="pomodoro-btn" data-pomodoro-action="start" title="Start a Pomodoro on your focus">
+                        <i class="fas fa-hourglass-start"></i> Start Pomodoro
+                    </button>
+                </div>`;
+            return;
+        }
+        const onBreak = p.phase === 'break';
+        this.pomodoroPanel.innerHTML = `
+            <div class="pomodoro-running ${onBreak ? 'on-break' : ''}">
+                <span class="pomodoro-phase">${onBreak ? '<i class="fas fa-mug-hot"></i> Break' : '<i class="fas fa-brain"></i> Focus'}</span>
+                <span class="pomodoro-target">${escapeHtml(p.target.text)}</span>
+                <span class="pomodoro-countdown"></span>
+                <span class="pomodoro-round">Round ${p.round}/${p.rounds}${p.paused ? ' · paused' : ''}</span>
+                <button class="pomodoro-btn" data-pomodoro-action="${p.paused ? 'resume' : 'pause'}" title="${p.paused ? 'Resume' : 'Pause'}">
+                    <i class="fas fa-${p.paused ? 'play' : 'pause'}"></i>
+                </button>
+                <button class="pomodoro-btn stop" data-pomodoro-action="stop" title="Stop">
+                    <i class="fas fa-stop"></i>
+                </button>
+            </div>`;
+        this.tickPomodoro();
+    }
+
+    // Starts on a task when given its id, otherwise on the focus item
+    async startPomodoro(taskId = null) {
+        const body = { ...this.pomodoroSettings };
+        if (this.pomodoroPanel) {
+            this.pomodoroPanel.querySelectorAll('[data-setting]').forEach(input => {
+                body[input.dataset.setting] = Number(input.value);
+            });
+        }
+        if (taskId) body.taskId = taskId;
+        const res = await authFetch('/api/focus/pomodoro/start', { method: 'POST', body: JSON.stringify(body) });
+        const data = await res.json();
+        if (!res.ok) {
+            if (window.taskManager) window.taskManager.showNotification(data.error || 'Could not start the Pomodoro', 'error');
+            return;
+        }
+        this.pomodoroSettings = data.settings;
+        this.setPomodoro(data.pomodoro);
+    }
+
+    async pomodoroCommand(action) {
+        const res = await authFetch(`/api/focus/pomodoro/${action}`, { method: 'POST' });
+        const data = await res.json();
+        if (!res.ok) {
+            if (window.taskManager) window.taskManager.showNotification(data.error || 'Could not update the Pomodoro', 'error');
+            return;
+        }
+        this.setPomodoro(data.pomodoro);
+    }
+
+    // Session changes from the server, including ones made on other devices
+    onPomodoro({ pomodoro, event }) {
+        this.setPomodoro(pomodoro);
+        const messages = {
+            break: 'Focus round done - time for a break.',
+            work: 'Break over - back to focus.',
+            finished: 'Pomodoro finished. Nice work!'
+        };
+        if (messages[event] && window.taskManager) window.taskManager.showNotification(messages[event], 'success');
+        if (event === 'break' || event === 'finished') this.loadFocusSessions();
+    }
+
+    // --- Focus history (analytics) ---
+    async loadFocusSessions() {
+        if (!this.token || !this.focusSessionsEl) return;
+        try {
+            const tz = Intl.DateTimeFormat().resolvedOptions().timeZone;
+            const res = await authFetch(`/api/focus/sessions?days=7&tz=${encodeURIComponent(tz)}`);
+            if (!res.ok) return;
+            this.renderFocusSessions(await res.json());
+        } catch (error) {
+            console.error('Error loading focus sessions:', error);
+        }
+    }
+
+    renderFocusSessions(data) {
+        const max = Math.max(1, ...data.byDay.map(row => row.count));
+        const today = data.byDay[data.byDay.length - 1];
+        this.focusSessionsEl.innerHTML = `
+            <div class="focus-sessions-summary">
+                <span><strong>${today.count}</strong> today</span>
+                <span><strong>${data.totalCount}</strong> this week · ${formatDuration(data.totalMinutes * 60000)}</span>
+            </div>
+            <div class="focus-sessions-bars">
+                ${data.byDay.map(row => `
+                    <div class="focus-day" title="${row.count} session${row.count === 1 ? '' : 's'}, ${row.minutes} min">
+                        <div class="focus-day-bar" style="height:${Math.round((row.count / max) * 100)}%"></div>
+                        <span>${new Date(`${row.day}T00:00`).toLocaleDateString([], { weekday: 'narrow' })}</span>
+                    </div>`).join('')}
+            </div>`;
     }
 
     renderFocusItem() {
@@ -2617,7 +5084,7 @@ function showReminderNotification(reminderData) {
 
 // Function to create and show the notification
 function createNotification(reminderData) {
-    const notification = new Notification('Task Reminder', {
+    const notification = new Notification(reminderData.title || 'Task Reminder', {
         body: reminderData.message,
         icon: '/icon.png' // Make sure you have an icon.png in your public folder
     });
@@ -2633,6 +5100,47 @@ function createNotification(reminderData) {
 if (typeof io !== 'undefined') {
     const socket = io();
 
+    // Join our user's room; the server verifies the token before adding us
+    let rejoined = false;
+    socket.on('connect', () => {
+        rejoined = false;
+        const token = localStorage.getItem('authToken');
+        if (token) socket.emit('join', token);
+    });
+
+    // The access token expired (e.g. a reconnect long after sign-in): refresh it and join again,
+    // once per connection, so revocations and sync events keep arriving
+    socket.on('authError', async () => {
+        if (rejoined) return;
+        rejoined = true;
+        if (await refreshAuthToken()) {
+            socket.emit('join', localStorage.getItem('authToken'));
+        } else {
+            planelloLogout({ skipServer: true });
+        }
+    });
+
+    // This device was signed out from elsewhere
+    socket.on('sessionRevoked', () => {
+        planelloLogout({ skipServer: true });
+    });
+
+    // Notifications for the push channel (unblocked tasks, Pomodoro breaks)
+    socket.on('notification', (data) => {
+        showReminderNotification({ ...data, title: data.type === 'pomodoro' ? 'Focus session' : 'Planello' });
+        if (data.type !== 'pomodoro' && window.taskManager) window.taskManager.showNotification(data.message, 'info');
+    });
+
+    // A Pomodoro started, changed phase or stopped on any device
+    socket.on('pomodoro', (data) => {
+        if (window.focusManager) window.focusManager.onPomodoro(data);
+    });
+
+    // A timer started or stopped, or time was edited, in this or another tab
+    socket.on('timeTracking', (data) => {
+        if (window.taskManager) window.taskManager.onTimeTracking(data);
+    });
+
     socket.on('reminder', (reminderData) => {
         console.log('Received reminder:', reminderData);
         showReminderNotification(reminderData);
@@ -2704,10 +5212,12 @@ if (
     window.addEventListener('DOMContentLoaded', function() {
         // BEGIN OTP MODAL LOGIC
         const otpModal = document.getElementById('otpModal');
+        if (!otpModal) return; // '/' serves the existing-user page, which has no modal
         const otpStep1 = document.getElementById('otpStep1');
         const otpStep2 = document.getElementById('otpStep2');
         const otpStep3 = document.getElementById('otpStep3');
         const otpPhoneInput = document.getElementById('otpPhoneInput');
+        const otpCountrySelect = document.getElementById('otpCountrySelect');
         const otpNextBtn = document.getElementById('otpNextBtn');
         const otpPhoneDisplay = document.getElementById('otpPhoneDisplay');
         const otpCodeInput = document.getElementById('otpCodeInput');
@@ -2715,26 +5225,192 @@ if (
         const otpResendLink = document.getElementById('otpResendLink');
         const otpCloseBtn = document.getElementById('otpCloseBtn');
         const otpErrorMsg = document.getElementById('otpErrorMsg');
-
-        let currentPhone = '';
-        let isVerified = localStorage.getItem('planello_verified') === 'true';
-
+        const otpNameGroup = document.getElementById('otpNameGroup');
+        const otpPhoneGroup = document.getElementById('otpPhoneGroup');
+        const otpEmailGroup = document.getElementById('otpEmailGroup');
+        const otpEmailInput = document.getElementById('otpEmailInput');
+        const otpChannelToggle = document.getElementById('otpChannelToggle');
+        const otpChannelLabel = document.getElementById('otpChannelLabel');
+        const otpStepPassword = document.getElementById('otpStepPassword');
+        const otpStepReset = document.getElementById('otpStepReset');
+        const passwordLoginLink = document.getElementById('passwordLoginLink');
+        const loginIdentifierInput = document.getElementById('loginIdentifierInput');
+        const loginPasswordInput = document.getElementById('loginPasswordInput');
+        const passwordLoginBtn = document.getElementById('passwordLoginBtn');
+        const forgotPasswordLink = document.getElementById('forgotPasswordLink');
+        const resetCodeInput = document.getElementById('resetCodeInput');
+        const resetPasswordInput = document.getElementById('resetPasswordInput');
+        const resetPasswordBtn = document.getElementById('resetPasswordBtn');
+        const resetSentTo = document.getElementById('resetSentTo');
+        const otpStepMfa = document.getElementById('otpStepMfa');
+        const mfaCodeInput = document.getElementById('mfaCodeInput');
+        const mfaVerifyBtn = document.getElementById('mfaVerifyBtn');
+        let pendingMfa = null; // { token, userName } while waiting for the authenticator code
+
+        let currentPhone = ''; // E.164
+        let currentEmail = '';
+        let otpChannel = 'whatsapp'; // or 'email' for accounts with a verified address
+        // How the server says it delivered a code (it may fall back from WhatsApp)
+        const OTP_CHANNEL_LABELS = { whatsapp: 'WhatsApp', sms: 'SMS', email: 'email' };
+        let otpCountdownTimer = null;
+        // A verified flag without a token (sessions from before token auth) still needs a fresh OTP
+        let isVerified = localStorage.getItem('planello_verified') === 'true' && !!localStorage.getItem('authToken');
+
+        // Country picker for numbers typed without a +country code
+        otpCountrySelect.innerHTML = PhoneUtils.COUNTRIES.map(country =>
+            `<option value="${country.iso}">${escapeHtml(country.name)} (+${country.dialCode})</option>`
+        ).join('');
+        otpCountrySelect.value = PhoneUtils.DEFAULT_COUNTRY;
+
+        // Steps 1-3 are the OTP flow; 'password' and 'reset' are the optional password sign-in
         function showStep(step) {
             otpStep1.style.display = step === 1 ? '' : 'none';
             otpStep2.style.display = step === 2 ? '' : 'none';
             otpStep3.style.display = step === 3 ? '' : 'none';
+            otpStepPassword.style.display = step === 'password' ? '' : 'none';
+            otpStepReset.style.display = step === 'reset' ? '' : 'none';
+            otpStepMfa.style.display = step === 'mfa' ? '' : 'none';
             otpErrorMsg.style.display = 'none';
         }
 
+        // Store the new session and show the success step, whichever way the user signed in
+        async function completeSignIn(data, userName) {
+            if (data.mfaRequired) {
+                // First factor passed; the session comes from /api/auth/2fa/verify
+                pendingMfa = { token: data.mfaToken, userName };
+                mfaCodeInput.value = '';
+                showStep('mfa');
+                mfaCodeInput.focus();
+                return;
+            }
+            if (data.pendingDeletion && !(await restorePendingAccount(data))) {
+                // Keep the account on course for deletion and drop the session we were just given
+                fetch('/api/auth/logout', {
+                    method: 'POST',
+                    headers: { 'Authorization': `Bearer ${data.token}` }
+                }).catch(() => {});
+                showStep(1);
+                showError('Your account is scheduled for deletion.');
+                return;
+            }
+            showStep(3);
+            isVerified = true;
+            localStorage.setItem('planello_verified', 'true');
+            localStorage.setItem('currentUserPhone', data.phone || currentPhone);
+            localStorage.setItem('authToken', data.token);
+            localStorage.setItem('refreshToken', data.refreshToken);
+            localStorage.setItem('userName', userName); // Store the user's name
+
+            // Update the UI to show the user's name if the element exists
+            const userNameElement = document.querySelector('.user-name');
+            if (userNameElement) {
+                userNameElement.textContent = userName;
+            }
+
+            // Close the modal after a short delay
+            setTimeout(closeOtpModal, 1500);
+        }
+
+        // Signing in during the grace period: offer to cancel the deletion
+        async function restorePendingAccount(data) {
+            const when = new Date(data.pendingDeletion.scheduledFor).toLocaleDateString();
+            if (!confirm(`This account is scheduled for deletion on ${when}. Restore it?`)) return false;
+            try {
+                const res = await fetch('/api/account/restore', {
+                    method: 'POST',
+                    headers: { 'Authorization': `Bearer ${data.token}` }
+                });
+                const result = await res.json();
+                return !!result.success;
+            } catch (error) {
+                console.error('Error restoring account:', error);
+                return false;
+            }
+        }
+
         function showError(msg) {
             otpErrorMsg.textContent = msg;
             otpErrorMsg.style.display = 'block';
         }
 
+        function stopCountdown() {
+            clearInterval(otpCountdownTimer);
+            otpCountdownTimer = null;
+        }
+
         function hideError() {
+            stopCountdown();
             otpErrorMsg.style.display = 'none';
         }
 
+        function setOtpChannel(channel) {
+            otpChannel = channel;
+            const byEmail = channel === 'email';
+            otpNameGroup.style.display = byEmail ? 'none' : '';
+            otpPhoneGroup.style.display = byEmail ? 'none' : '';
+            otpEmailGroup.style.display = byEmail ? '' : 'none';
+            otpChannelToggle.textContent = byEmail ? 'Send code by WhatsApp instead' : 'Send code by email instead';
+            otpChannelLabel.textContent = byEmail ? 'email' : 'WhatsApp';
+            hideError();
+        }
+
+        // Email sign-in: only works for addresses already verified from the profile menu
+        async function sendEmailCode() {
+            const res = await fetch('/api/send-email-otp', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ email: currentEmail })
+            });
+            return res.json();
+        }
+
+        // Server error codes -> modal messages; {time} is filled in by the countdown
+        const OTP_ERROR_MESSAGES = {
+            OTP_COOLDOWN: 'You can request a new code in {time}.',
+            OTP_RATE_LIMITED: 'Too many codes requested. Try again in {time}.',
+            OTP_LOCKED: 'Too many incorrect attempts. Try again in {time}.',
+            LOGIN_LOCKED: 'Too many failed attempts. Try again in {time}.',
+            OTP_EXPIRED: 'This code has expired. Tap "Try Again" to get a new one.',
+            OTP_NOT_REQUESTED: 'No active code. Tap "Try Again" to get a new one.'
+        };
+
+        function formatWait(seconds) {
+            return seconds >= 120 ? `${Math.ceil(seconds / 60)}m` : `${seconds}s`;
+        }
+
+        // Show a server OTP error; rate-limit errors count down and keep the button disabled until they lapse
+        function showOtpError(data, fallback, button) {
+            stopCountdown();
+            if (data.code === 'OTP_INVALID') {
+                const left = data.attemptsRemaining;
+                showError(`Incorrect code. ${left} attempt${left === 1 ? '' : 's'} left.`);
+                return;
+            }
+            const template = OTP_ERROR_MESSAGES[data.code];
+            if (!template) {
+                showError(data.message || fallback);
+                return;
+            }
+            if (!data.retryAfter) {
+                showError(template);
+                return;
+            }
+
+            let remaining = data.retryAfter;
+            const tick = () => {
+                if (remaining <= 0) {
+                    hideError();
+                    if (button) button.disabled = false;
+                    return;
+                }
+                showError(template.replace('{time}', formatWait(remaining)));
+                remaining--;
+            };
+            if (button) button.disabled = true;
+            tick();
+            otpCountdownTimer = setInterval(tick, 1000);
+        }
+
         // Add overlay to block interaction with main page and hide all except logo
         let otpOverlay = document.createElement('div');
         otpOverlay.id = 'otpOverlay';
@@ -2803,8 +5479,45 @@ if (
             }
         }
 
+        otpChannelToggle.addEventListener('click', function(e) {
+            e.preventDefault();
+            setOtpChannel(otpChannel === 'email' ? 'whatsapp' : 'email');
+        });
+
         otpNextBtn.addEventListener('click', async function() {
-            const phone = otpPhoneInput.value.trim();
+            if (otpChannel === 'email') {
+                const email = otpEmailInput.value.trim();
+                if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) {
+                    showError('Please enter a valid email address.');
+                    return;
+                }
+                hideError();
+                otpNextBtn.disabled = true;
+                otpNextBtn.textContent = 'Sending OTP...';
+                try {
+                    currentEmail = email;
+                    const data = await sendEmailCode();
+                    if (data.success) {
+                        otpPhoneDisplay.textContent = email;
+                        showStep(2);
+                        otpCodeInput.value = '';
+                        otpCodeInput.focus();
+                    } else {
+                        showOtpError(data, 'Failed to send email OTP.', otpNextBtn);
+                    }
+                } catch (err) {
+                    console.error('Email OTP send error:', err);
+                    showError('Network error. Please try again.');
+                }
+                if (!otpCountdownTimer) {
+                    otpNextBtn.disabled = false;
+                }
+                otpNextBtn.textContent = 'Send OTP →';
+                return;
+            }
+
+            // Same normalization as the server, so what we display is what gets stored
+            const phone = PhoneUtils.normalizePhone(otpPhoneInput.value, otpCountrySelect.value);
             const name = otpNameInput.value.trim();
 
             // Validate inputs
@@ -2813,8 +5526,8 @@ if (
                 return;
             }
 
-            if (!/^\d{10}$/.test(phone)) {
-                showError('Please enter a valid 10-digit phone number.');
+            if (!phone) {
+                showError('Please enter a valid phone number for the selected country.');
                 return;
             }
 
@@ -2837,7 +5550,9 @@ if (
 
                 if (data.success) {
                     currentPhone = phone;
-                    otpPhoneDisplay.textContent = '+91 ' + phone;
+                    // Show where the code actually went, which may not be WhatsApp after a fallback
+                    otpPhoneDisplay.textContent = data.channel === 'email' ? data.destination : PhoneUtils.formatPhone(phone);
+                    otpChannelLabel.textContent = OTP_CHANNEL_LABELS[data.channel] || 'WhatsApp';
                     showStep(2);
                     otpCodeInput.value = '';
                     otpCodeInput.focus();
@@ -2849,25 +5564,29 @@ if (
                     showError('Please enter your name.');
                     showStep(1);
                 } else {
-                    showError(data.message || 'Failed to send WhatsApp OTP.');
+                    showOtpError(data, 'Failed to send WhatsApp OTP.', otpNextBtn);
                 }
             } catch (err) {
                 console.error('OTP send error:', err);
                 showError('Network error. Please try again.');
             }
 
-            otpNextBtn.disabled = false;
+            // A running countdown keeps the button disabled until it ends
+            if (!otpCountdownTimer) {
+                otpNextBtn.disabled = false;
+            }
             otpNextBtn.textContent = 'Send OTP →';
         });
 
         otpVerifyBtn.addEventListener('click', async function() {
             const otp = otpCodeInput.value.trim();
             const name = otpNameInput.value.trim();
+            const byEmail = otpChannel === 'email';
             if (!/^\d{4,6}$/.test(otp)) {
                 showError('Please enter the 6-digit OTP.');
                 return;
             }
-            if (!name) {
+            if (!byEmail && !name) {
                 showError('Please enter your name.');
                 return;
             }
@@ -2876,11 +5595,11 @@ if (
             otpVerifyBtn.textContent = 'Verifying...';
             try {
                 console.log('Verifying OTP with name:', name); // Debug log
-                const res = await fetch('/api/verify-whatsapp-otp', {
+                const res = await fetch(byEmail ? '/api/verify-email-otp' : '/api/verify-whatsapp-otp', {
                     method: 'POST',
                     headers: { 'Content-Type': 'application/json' },
-                    body: JSON.stringify({
-                        phone: currentPhone, // Don't add +91 here, let the server handle formatting
+                    body: JSON.stringify(byEmail ? { email: currentEmail, otp } : {
+                        phone: currentPhone,
                         otp,
                         name: name.trim() // Ensure name is trimmed and included in the request
                     })
@@ -2888,30 +5607,18 @@ if (
                 const data = await res.json();
                 console.log('OTP verification response:', data); // Debug log
                 if (data.success) {
-                    showStep(3);
-                    isVerified = true;
-                    // Use the formatted phone number from the server response if available
-                    const formattedPhone = data.phone || currentPhone;
-                    localStorage.setItem('planello_verified', 'true');
-                    localStorage.setItem('currentUserPhone', formattedPhone);
-                    localStorage.setItem('userName', name.trim()); // Store the user's name
-
-                    // Update the UI to show the user's name if the element exists
-                    const userNameElement = document.querySelector('.user-name');
-                    if (userNameElement) {
-                        userNameElement.textContent = name.trim();
-                    }
-
-                    // Close the modal after a short delay
-                    setTimeout(closeOtpModal, 1500);
+                    // Email sign-in doesn't ask for a name, so take the one on the account
+                    completeSignIn(data, byEmail ? (data.name || '') : name.trim());
                 } else {
-                    showError(data.message || 'Invalid OTP.');
+                    showOtpError(data, 'Invalid OTP.', otpVerifyBtn);
                 }
             } catch (err) {
                 console.error('OTP verification error:', err);
                 showError('Network error. Please try again.');
             }
-            otpVerifyBtn.disabled = false;
+            if (!otpCountdownTimer) {
+                otpVerifyBtn.disabled = false;
+            }
             otpVerifyBtn.textContent = 'Verify OTP';
         });
 
@@ -2919,17 +5626,33 @@ if (
             e.preventDefault();
             hideError();
             otpResendLink.textContent = 'Resending...';
+            if (otpChannel === 'email') {
+                try {
+                    const data = await sendEmailCode();
+                    if (data.success) {
+                        showError('Email OTP resent successfully.');
+                    } else {
+                        showOtpError(data, 'Failed to resend email OTP.');
+                    }
+                } catch (err) {
+                    showError('Network error. Please try again.');
+                }
+                otpResendLink.textContent = 'Try Again';
+                return;
+            }
             try {
                 const res = await fetch('/api/send-whatsapp-otp', {
                     method: 'POST',
                     headers: { 'Content-Type': 'application/json' },
-                    body: JSON.stringify({ phone: '+91' + currentPhone })
+                    body: JSON.stringify({ phone: currentPhone, name: otpNameInput.value.trim() })
                 });
                 const data = await res.json();
                 if (data.success) {
-                    showError('WhatsApp OTP resent successfully.');
+                    otpPhoneDisplay.textContent = data.channel === 'email' ? data.destination : PhoneUtils.formatPhone(currentPhone);
+                    otpChannelLabel.textContent = OTP_CHANNEL_LABELS[data.channel] || 'WhatsApp';
+                    showError(data.message || 'OTP resent successfully.');
                 } else {
-                    showError(data.message || 'Failed to resend WhatsApp OTP.');
+                    showOtpError(data, 'Failed to resend OTP.');
                 }
             } catch (err) {
                 showError('Network error. Please try again.');
@@ -2941,17 +5664,164 @@ if (
             closeOtpModal();
         });
 
+        // --- Optional password sign-in ---
+        passwordLoginLink.addEventListener('click', function(e) {
+            e.preventDefault();
+            showStep('password');
+            loginIdentifierInput.focus();
+        });
+
+        document.querySelectorAll('.otp-back-link').forEach(link => {
+            link.addEventListener('click', function(e) {
+                e.preventDefault();
+                hideError();
+                showStep(1);
+            });
+        });
+
+        // Phone numbers go through the same normalization as the OTP form; emails pass through
+        function loginIdentifier() {
+            const value = loginIdentifierInput.value.trim();
+            return value.includes('@') ? value : (PhoneUtils.normalizePhone(value, otpCountrySelect.value) || value);
+        }
+
+        passwordLoginBtn.addEventListener('click', async function() {
+            if (!loginIdentifierInput.value.trim() || !loginPasswordInput.value) {
+                showError('Enter your phone or email and password.');
+                return;
+            }
+            hideError();
+            passwordLoginBtn.disabled = true;
+            try {
+                const res = await fetch('/api/auth/login', {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify({ identifier: loginIdentifier(), password: loginPasswordInput.value })
+                });
+                const data = await res.json();
+                if (data.success) {
+                    loginPasswordInput.value = '';
+                    completeSignIn(data, data.name || '');
+                } else {
+                    showOtpError(data, 'Login failed.', passwordLoginBtn);
+                }
+            } catch (err) {
+                showError('Network error. Please try again.');
+            }
+            if (!otpCountdownTimer) {
+                passwordLoginBtn.disabled = false;
+            }
+        });
+
+        forgotPasswordLink.addEventListener('click', async function(e) {
+            e.preventDefault();
+            if (!loginIdentifierInput.value.trim()) {
+                showError('Enter your phone or email first.');
+                return;
+            }
+            hideError();
+            try {
+                const res = await fetch('/api/auth/password/reset/request', {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify({ identifier: loginIdentifier() })
+                });
+                const data = await res.json();
+                if (data.success) {
+                    resetSentTo.textContent = `${data.destination} (${OTP_CHANNEL_LABELS[data.channel] || data.channel})`;
+                    showStep('reset');
+                    resetCodeInput.value = '';
+                    resetCodeInput.focus();
+                } else {
+                    showOtpError(data, 'Failed to send reset code.');
+                }
+            } catch (err) {
+                showError('Network error. Please try again.');
+            }
+        });
+
+        resetPasswordBtn.addEventListener('click', async function() {
+            hideError();
+            resetPasswordBtn.disabled = true;
+            try {
+                const res = await fetch('/api/auth/password/reset', {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify({
+                        identifier: loginIdentifier(),
+                        otp: resetCodeInput.value.trim(),
+                        newPassword: resetPasswordInput.value
+                    })
+                });
+                const data = await res.json();
+                if (data.success) {
+                    resetPasswordInput.value = '';
+                    completeSignIn(data, data.name || '');
+                } else {
+                    showOtpError(data, 'Failed to reset password.', resetPasswordBtn);
+                }
+            } catch (err) {
+                showError('Network error. Please try again.');
+            }
+            if (!otpCountdownTimer) {
+                resetPasswordBtn.disabled = false;
+            }
+        });
+
+        mfaVerifyBtn.addEventListener('click', async function() {
+            if (!pendingMfa || !mfaCodeInput.value.trim()) {
+                showError('Enter the code from your authenticator app.');
+                return;
+            }
+            hideError();
+            mfaVerifyBtn.disabled = true;
+            try {
+                const res = await fetch('/api/auth/2fa/verify', {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify({ mfaToken: pendingMfa.token, code: mfaCodeInput.value.trim() })
+                });
+                const data = await res.json();
+                if (data.success) {
+                    const userName = pendingMfa.userName || data.name || '';
+                    pendingMfa = null;
+                    if (data.recoveryCodesLeft !== undefined) {
+                        alert(`Recovery code used. You have ${data.recoveryCodesLeft} left; you can create new ones in your profile.`);
+                    }
+                    completeSignIn(data, userName);
+                } else {
+                    showOtpError(data, 'Verification failed.', mfaVerifyBtn);
+                }
+            } catch (err) {
+                showError('Network error. Please try again.');
+            }
+            if (!otpCountdownTimer) {
+                mfaVerifyBtn.disabled = false;
+            }
+        });
+
         // Optional: Prevent interaction with rest of app until verified
         // You can add logic here to block other UI if needed
     });
 }
 
 // Add logout function to clear verification/session only
-function planelloLogout() {
+function planelloLogout({ skipServer = false } = {}) {
+    const token = localStorage.getItem('authToken');
     localStorage.removeItem('planello_verified');
     localStorage.removeItem('token');
     localStorage.removeItem('authToken');
+    localStorage.removeItem('refreshToken');
     // Optionally clear other session-only flags
+    if (token && !skipServer) {
+        // Best effort: end the session server-side before reloading
+        fetch('/api/auth/logout', {
+            method: 'POST',
+            headers: { 'Authorization': `Bearer ${token}` },
+            keepalive: true
+        }).catch(() => {}).finally(() => window.location.reload());
+        return;
+    }
     window.location.reload();
 }
 // Attach to logout button if present